@@ -1,89 +1,277 @@
 import React from "react";
-import {
-  isRequired,
-  hasMinLength,
-  isValidEmail,
-  validatePassword,
-  isValidMexicanPhone,
-} from "@validators";
-import { useFormValidation } from "@hooks/useFormValidation";
+import { ENV_CONFIG, VALIDATION_MODES } from "@constants";
+import { useRenderCount } from "@hooks/useRenderCount";
+import { FormField } from "@components/ui/FormField";
 import { FormInput } from "@components/ui/FormInput";
+import { FormErrorSummary } from "@components/ui/FormErrorSummary";
+import { RenderCounter } from "@components/ui/RenderCounter";
+import { Form } from "@context/Form";
+import { useField, useFormContext } from "@context/FormContext";
+import { object, string, number, boolean, array } from "@utils/schema";
+import { numberTransform, phoneTransform, trimTransform } from "@utils/fieldTransforms";
+import { capitalize } from "@formatters";
 
-const validationRules = {
-  name: [
-    (value) => (!isRequired(value) ? "El nombre es requerido" : ""),
-    (value) =>
-      !hasMinLength(value, 2)
-        ? "El nombre debe tener al menos 2 caracteres"
-        : "",
-  ],
-  email: [
-    (value) => (!isRequired(value) ? "El email es requerido" : ""),
-    (value) =>
-      value && !isValidEmail(value) ? "Formato de email inválido" : "",
-  ],
-  password: [
-    (value) => (!isRequired(value) ? "La contraseña es requerida" : ""),
-    (value) => {
-      if (!value) return "";
-      const validation = validatePassword(value, {
-        minLength: 6,
-        requireUppercase: true,
-        requireLowercase: true,
-        requireNumbers: true,
-        requireSpecialChars: false,
-      });
-      return validation.isValid ? "" : validation.errors[0];
-    },
-  ],
-  phone: [
-    (value) => (!isRequired(value) ? "El teléfono es requerido" : ""),
-    (value) =>
-      value && !isValidMexicanPhone(value)
-        ? "Formato mexicano inválido (ej: +52 1234567890)"
-        : "",
-  ],
-  age: [
-    (value) => (!isRequired(value) ? "La edad es requerida" : ""),
-    (value) =>
-      value && (value < 16 || value > 100)
-        ? "Edad debe estar entre 16 y 100 años"
-        : "",
-  ],
-  country: [(value) => (!isRequired(value) ? "El país es requerido" : "")],
-  terms: [
-    (value) => (!value ? "Debes aceptar los términos y condiciones" : ""),
-  ],
+const validationRules = object({
+  name: string()
+    .required("El nombre es requerido")
+    .min(2, "El nombre debe tener al menos 2 caracteres"),
+  email: string()
+    .required("El email es requerido")
+    .email("Formato de email inválido"),
+  password: string()
+    .required("La contraseña es requerida")
+    .password({
+      minLength: 6,
+      requireUppercase: true,
+      requireLowercase: true,
+      requireNumbers: true,
+      requireSpecialChars: false,
+    }),
+  confirmPassword: string()
+    .required("Confirma tu contraseña")
+    .equals("password", "Las contraseñas no coinciden"),
+  phone: string()
+    .required("El teléfono es requerido")
+    .phone("Formato mexicano inválido (ej: +52 1234567890)"),
+  age: number()
+    .required("La edad es requerida")
+    .between(16, 100, "Edad debe estar entre 16 y 100 años"),
+  country: string().required("El país es requerido"),
+  contactMethod: string().required("Elige cómo quieres que te contactemos"),
+  interests: array(string()).min(1, "Elige al menos un interés"),
+  pokemonTypes: array(string())
+    .min(1, "Elige al menos un tipo")
+    .max(2, "Elige máximo 2 tipos"),
+  terms: boolean().isTrue("Debes aceptar los términos y condiciones"),
+}).toRules();
+
+// Opciones fuera del componente para que FormField (memo) reciba siempre la misma referencia
+const countries = [
+  { value: "mx", label: "🇲🇽 México" },
+  { value: "us", label: "🇺🇸 Estados Unidos" },
+  { value: "ca", label: "🇨🇦 Canadá" },
+  { value: "es", label: "🇪🇸 España" },
+];
+
+const contactMethods = [
+  { value: "email", label: "Email" },
+  { value: "phone", label: "Teléfono" },
+  { value: "whatsapp", label: "WhatsApp" },
+];
+
+const interests = [
+  { value: "frontend", label: "Frontend" },
+  { value: "backend", label: "Backend" },
+  { value: "mobile", label: "Móvil" },
+  { value: "design", label: "Diseño" },
+];
+
+const pokemonTypes = [
+  { value: "normal", label: "Normal" },
+  { value: "fire", label: "Fuego" },
+  { value: "water", label: "Agua" },
+  { value: "grass", label: "Planta" },
+  { value: "electric", label: "Eléctrico" },
+  { value: "ice", label: "Hielo" },
+  { value: "fighting", label: "Lucha" },
+  { value: "poison", label: "Veneno" },
+  { value: "ground", label: "Tierra" },
+  { value: "flying", label: "Volador" },
+  { value: "psychic", label: "Psíquico" },
+  { value: "bug", label: "Bicho" },
+  { value: "rock", label: "Roca" },
+  { value: "ghost", label: "Fantasma" },
+  { value: "dragon", label: "Dragón" },
+  { value: "dark", label: "Siniestro" },
+  { value: "steel", label: "Acero" },
+  { value: "fairy", label: "Hada" },
+];
+
+// Lista completa de Pokémon: se descarga una vez y cada búsqueda la filtra por nombre
+const POKEMON_LIST_URL = "https://pokeapi.co/api/v2/pokemon?limit=2000";
+let pokemonOptions = null;
+
+const loadPokemon = async (query, { signal }) => {
+  if (!pokemonOptions) {
+    const response = await fetch(POKEMON_LIST_URL, { signal });
+    if (!response.ok) throw new Error(`Error ${response.status} al cargar Pokémon`);
+    const { results } = await response.json();
+    pokemonOptions = results.map(({ name }) => ({ value: name, label: capitalize(name) }));
+  }
+
+  const search = query.trim().toLowerCase();
+  return search ? pokemonOptions.filter(({ value }) => value.includes(search)) : pokemonOptions;
 };
 
-export default function App() {
-  const form = useFormValidation(
-    {
-      name: "",
-      email: "",
-      password: "",
-      phone: "",
-      age: "",
-      country: "",
-      bio: "",
-      terms: false,
-    },
-    validationRules
+const initialValues = {
+  name: "",
+  email: "",
+  password: "",
+  confirmPassword: "",
+  phone: "",
+  age: "",
+  country: "",
+  contactMethod: "",
+  interests: [],
+  favoritePokemon: "",
+  pokemonTypes: [],
+  teamPhotos: [],
+  bio: "",
+  terms: false,
+};
+
+const formOptions = {
+  mode: VALIDATION_MODES.ON_TOUCHED,
+  persist: { key: "registro" },
+  transforms: {
+    name: trimTransform,
+    phone: phoneTransform,
+    age: numberTransform,
+  },
+  validateForm: (values) =>
+    values.country === "us" && values.age !== "" && values.age < 21
+      ? "Para registrarte desde Estados Unidos debes tener al menos 21 años"
+      : "",
+  onSuccess: () => alert("¡Formulario enviado correctamente!"),
+  resetOnSuccess: true,
+};
+
+const errorLabels = {
+  name: "Nombre",
+  email: "Email",
+  password: "Contraseña",
+  confirmPassword: "Confirmar contraseña",
+  phone: "Teléfono",
+  age: "Edad",
+  country: "País",
+  contactMethod: "Medio de contacto",
+  interests: "Intereses",
+  pokemonTypes: "Tipos favoritos",
+  terms: "Términos",
+};
+
+const handleFormSubmit = async (values) => {
+  await new Promise((resolve) => setTimeout(resolve, 2000));
+  console.log("Valores enviados:", values);
+};
+
+// El contador de caracteres se suscribe solo a "bio": escribir aquí no re-renderiza la página
+const BioField = () => {
+  const renders = useRenderCount();
+  const bio = useField("bio");
+
+  return (
+    <FormInput
+      {...bio.props}
+      label="Biografía"
+      type="textarea"
+      placeholder="Cuéntanos sobre ti..."
+      rows={4}
+      maxLength={200}
+      helperText={`${(bio.value || "").length}/200 caracteres`}
+      data-render-count={ENV_CONFIG.isDevelopment ? renders : undefined}
+    />
   );
+};
 
-  const handleFormSubmit = async (values) => {
-    await new Promise((resolve) => setTimeout(resolve, 2000));
-    alert("¡Formulario enviado correctamente!");
-    console.log("Valores enviados:", values);
-    form.reset();
-  };
+// Resumen de errores y errores generales (se re-renderizan con cualquier cambio del formulario)
+const FormFeedback = () => {
+  const form = useFormContext();
 
-  const countries = [
-    { value: "mx", label: "🇲🇽 México" },
-    { value: "us", label: "🇺🇸 Estados Unidos" },
-    { value: "ca", label: "🇨🇦 Canadá" },
-    { value: "es", label: "🇪🇸 España" },
-  ];
+  return (
+    <>
+      {/* Resumen de errores con enlaces a cada campo */}
+      <FormErrorSummary form={form} labels={errorLabels} />
+
+      {/* Errores generales del formulario */}
+      {form.formErrors.length > 0 && (
+        <div className="p-4 rounded-lg border border-yellow-200 bg-yellow-50 text-yellow-800 text-sm space-y-1">
+          {form.formErrors.map((message) => (
+            <p key={message}>{message}</p>
+          ))}
+        </div>
+      )}
+
+      {/* Error general del envío */}
+      {form.submitError && (
+        <div className="p-4 rounded-lg border border-red-200 bg-red-50 text-red-700 text-sm">
+          {form.submitError}
+        </div>
+      )}
+    </>
+  );
+};
+
+// Botones de acción: leen isSubmitting e isValid del formulario del contexto
+const FormActions = () => {
+  const renders = useRenderCount();
+  const form = useFormContext();
+
+  return (
+    <div className="flex flex-col sm:flex-row gap-4 items-center">
+      <button
+        type="submit"
+        disabled={form.isSubmitting}
+        className="flex-1 bg-blue-600 text-white py-3 px-6 rounded-lg hover:bg-blue-700 disabled:bg-blue-300 disabled:cursor-not-allowed transition-all duration-200 font-medium"
+      >
+        {form.isSubmitting ? (
+          <span className="flex items-center justify-center">
+            <svg
+              className="animate-spin -ml-1 mr-3 h-5 w-5 text-white"
+              xmlns="http://www.w3.org/2000/svg"
+              fill="none"
+              viewBox="0 0 24 24"
+            >
+              <circle
+                className="opacity-25"
+                cx="12"
+                cy="12"
+                r="10"
+                stroke="currentColor"
+                strokeWidth="4"
+              ></circle>
+              <path
+                className="opacity-75"
+                fill="currentColor"
+                d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
+              ></path>
+            </svg>
+            Enviando...
+          </span>
+        ) : (
+          <span className="flex items-center justify-center">
+            <svg
+              className="w-5 h-5 mr-2"
+              fill="currentColor"
+              viewBox="0 0 20 20"
+            >
+              <path
+                fillRule="evenodd"
+                d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z"
+                clipRule="evenodd"
+              />
+            </svg>
+            {form.isValid ? "Enviar Formulario" : "Validar y Enviar"}
+          </span>
+        )}
+      </button>
+
+      <button
+        type="button"
+        onClick={form.reset}
+        disabled={form.isSubmitting}
+        className="flex-1 bg-gray-500 text-white py-3 px-6 rounded-lg hover:bg-gray-600 disabled:bg-gray-300 transition-colors font-medium"
+      >
+        Limpiar Todo
+      </button>
+
+      <RenderCounter label="Renders" count={renders} />
+    </div>
+  );
+};
+
+export default function App() {
+  const renders = useRenderCount();
 
   return (
     <div className="max-w-4xl mx-auto p-6 bg-gray-200 ">
@@ -91,184 +279,143 @@ export default function App() {
         <h1 className="text-3xl font-bold text-gray-900 mb-10 text-center">
           Sistema de Formularios Completo
         </h1>
-        <div className="space-y-6">
+        {/* App no se re-renderiza al escribir: el estado vive en <Form> y cada campo o
+            bloque de abajo se suscribe solo a lo que muestra (ver useField y useFormContext) */}
+        <RenderCounter label="Renders de la página" count={renders} className="mb-4" />
+        <Form
+          initialValues={initialValues}
+          validationRules={validationRules}
+          options={formOptions}
+          onSubmit={handleFormSubmit}
+          className="space-y-6"
+        >
           <div className="gap-6">
             {/* Columna 1 */}
             <div>
-              <FormInput
+              <FormField
                 name="name"
                 label="Nombre completo"
                 placeholder="Tu nombre completo"
-                value={form.values.name}
-                onChange={form.handleChange("name")}
-                onBlur={form.handleBlur("name")}
-                error={form.errors.name}
-                state={form.getFieldState("name")}
                 required
               />
 
-              <FormInput
+              <FormField
                 name="email"
                 label="Email"
                 type="email"
                 placeholder="tu@email.com"
-                value={form.values.email}
-                onChange={form.handleChange("email")}
-                onBlur={form.handleBlur("email")}
-                error={form.errors.email}
-                state={form.getFieldState("email")}
                 prefix="@"
                 required
               />
 
-              <FormInput
+              <FormField
                 name="password"
                 label="Contraseña"
                 type="password"
                 placeholder="Tu contraseña segura"
-                value={form.values.password}
-                onChange={form.handleChange("password")}
-                onBlur={form.handleBlur("password")}
-                error={form.errors.password}
-                state={form.getFieldState("password")}
                 helperText="Mínimo 6 caracteres, una mayúscula, una minúscula y un número"
                 required
               />
 
-              <FormInput
+              <FormField
+                name="confirmPassword"
+                label="Confirmar contraseña"
+                type="password"
+                placeholder="Repite tu contraseña"
+                required
+              />
+
+              <FormField
                 name="phone"
                 label="Teléfono"
                 type="tel"
-                placeholder="+52 1234567890"
-                value={form.values.phone}
-                onChange={form.handleChange("phone")}
-                onBlur={form.handleBlur("phone")}
-                error={form.errors.phone}
-                state={form.getFieldState("phone")}
+                placeholder="(555) 123-4567"
                 required
               />
             </div>
 
             {/* Columna 2 */}
             <div>
-              <FormInput
+              <FormField
                 name="age"
                 label="Edad"
                 type="number"
                 placeholder="25"
-                value={form.values.age}
-                onChange={form.handleChange("age")}
-                onBlur={form.handleBlur("age")}
-                error={form.errors.age}
-                state={form.getFieldState("age")}
                 min={16}
                 max={100}
                 suffix="años"
                 required
               />
 
-              <FormInput
+              <FormField
                 name="country"
                 label="País"
                 type="select"
                 placeholder="Selecciona tu país"
-                value={form.values.country}
-                onChange={form.handleChange("country")}
-                onBlur={form.handleBlur("country")}
-                error={form.errors.country}
-                state={form.getFieldState("country")}
                 options={countries}
                 required
               />
 
-              <FormInput
-                name="bio"
-                label="Biografía"
-                type="textarea"
-                placeholder="Cuéntanos sobre ti..."
-                value={form.values.bio}
-                onChange={form.handleChange("bio")}
-                onBlur={form.handleBlur("bio")}
-                error={form.errors.bio}
-                state={form.getFieldState("bio")}
-                rows={4}
-                maxLength={200}
-                helperText={`${(form.values.bio || "").length}/200 caracteres`}
+              <FormField
+                name="contactMethod"
+                label="Medio de contacto"
+                type="radio-group"
+                options={contactMethods}
+                required
               />
 
-              <FormInput
+              <FormField
+                name="interests"
+                label="Intereses"
+                type="checkbox-group"
+                options={interests}
+                helperText="Elige uno o más"
+                required
+              />
+
+              <FormField
+                name="favoritePokemon"
+                label="Pokémon favorito"
+                type="combobox"
+                placeholder="Escribe para buscar..."
+                loadOptions={loadPokemon}
+              />
+
+              <FormField
+                name="pokemonTypes"
+                label="Tipos favoritos"
+                type="multiselect"
+                placeholder="Busca un tipo..."
+                options={pokemonTypes}
+                maxSelections={2}
+                helperText="Elige uno o dos tipos"
+                required
+              />
+
+              <FormField
+                name="teamPhotos"
+                label="Fotos de tu equipo"
+                type="file"
+                accept="image/*"
+                multiple
+                maxFiles={6}
+                helperText="Hasta 6 imágenes, una por Pokémon"
+              />
+
+              <BioField />
+
+              <FormField
                 name="terms"
                 type="checkbox"
                 placeholder="Acepto los términos y condiciones"
-                value={form.values.terms}
-                onChange={form.handleChange("terms")}
-                onBlur={form.handleBlur("terms")}
-                error={form.errors.terms}
-                state={form.getFieldState("terms")}
                 required
               />
             </div>
           </div>
 
-          {/* Botones de acción */}
-          <div className="flex flex-col sm:flex-row gap-4">
-            <button
-              onClick={form.handleSubmit(handleFormSubmit)}
-              disabled={form.isSubmitting}
-              className="flex-1 bg-blue-600 text-white py-3 px-6 rounded-lg hover:bg-blue-700 disabled:bg-blue-300 disabled:cursor-not-allowed transition-all duration-200 font-medium"
-            >
-              {form.isSubmitting ? (
-                <span className="flex items-center justify-center">
-                  <svg
-                    className="animate-spin -ml-1 mr-3 h-5 w-5 text-white"
-                    xmlns="http://www.w3.org/2000/svg"
-                    fill="none"
-                    viewBox="0 0 24 24"
-                  >
-                    <circle
-                      className="opacity-25"
-                      cx="12"
-                      cy="12"
-                      r="10"
-                      stroke="currentColor"
-                      strokeWidth="4"
-                    ></circle>
-                    <path
-                      className="opacity-75"
-                      fill="currentColor"
-                      d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
-                    ></path>
-                  </svg>
-                  Enviando...
-                </span>
-              ) : (
-                <span className="flex items-center justify-center">
-                  <svg
-                    className="w-5 h-5 mr-2"
-                    fill="currentColor"
-                    viewBox="0 0 20 20"
-                  >
-                    <path
-                      fillRule="evenodd"
-                      d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z"
-                      clipRule="evenodd"
-                    />
-                  </svg>
-                  {form.isValid ? "Enviar Formulario" : "Validar y Enviar"}
-                </span>
-              )}
-            </button>
-
-            <button
-              type="button"
-              onClick={form.reset}
-              disabled={form.isSubmitting}
-              className="flex-1 bg-gray-500 text-white py-3 px-6 rounded-lg hover:bg-gray-600 disabled:bg-gray-300 transition-colors font-medium"
-            >
-              Limpiar Todo
-            </button>
-          </div>
-        </div>
+          <FormFeedback />
+          <FormActions />
+        </Form>
       </div>
     </div>
   );
@@ -0,0 +1,266 @@
+import { useState, useMemo, useRef, useCallback, useEffect } from "react";
+import { MESSAGES } from "@constants";
+import { debounce, generateId } from "@helpers";
+import { getOptionValue, getOptionLabel, filterOptions } from "@components/ui/optionHelpers";
+
+// Opciones renderizadas fuera del área visible (arriba y abajo) para que el scroll no parpadee
+const OVERSCAN = 5;
+
+export const Combobox = ({
+  id,
+  value,
+  onChange,
+  onBlur,
+  options = [],
+  loadOptions,
+  debounceMs = 300,
+  optionHeight = 36,
+  maxHeight = 240,
+  noResultsText = MESSAGES.INFO.NO_RESULTS,
+  disabled = false,
+  readOnly = false,
+  ref,
+  ...props
+}) => {
+  const [generatedId] = useState(() => generateId("combobox-"));
+  const inputId = id || generatedId;
+  const listboxId = `${inputId}-listbox`;
+
+  const [query, setQuery] = useState(null);            // Texto escrito (null: muestra la opción elegida)
+  const [isOpen, setIsOpen] = useState(false);          // Lista desplegada
+  const [activeIndex, setActiveIndex] = useState(-1);   // Opción resaltada con el teclado o el mouse
+  const [scrollTop, setScrollTop] = useState(0);        // Scroll de la lista (para virtualizar)
+  const [selectedOption, setSelectedOption] = useState(null); // Última opción elegida (su label)
+  const [asyncOptions, setAsyncOptions] = useState([]); // Resultados de loadOptions
+  const [status, setStatus] = useState("idle");         // "idle", "loading" o "error" de loadOptions
+
+  const listRef = useRef(null);
+
+  // Carga asíncrona con debounce; cada búsqueda aborta la anterior
+  const loadOptionsRef = useRef(loadOptions);
+  loadOptionsRef.current = loadOptions;
+  const requestRef = useRef(null);
+
+  const abortRequest = useCallback(() => {
+    requestRef.current?.abort();
+  }, []);
+
+  const debouncedLoad = useMemo(
+    () =>
+      debounce((search) => {
+        abortRequest();
+        const controller = new AbortController();
+        requestRef.current = controller;
+
+        Promise.resolve(loadOptionsRef.current(search, { signal: controller.signal }))
+          .then((result) => {
+            if (controller.signal.aborted) return;
+            setAsyncOptions(result || []);
+            setStatus("idle");
+          })
+          .catch((error) => {
+            if (controller.signal.aborted) return;
+            console.error("Error al cargar opciones:", error);
+            setStatus("error");
+          });
+      }, debounceMs),
+    [debounceMs, abortRequest]
+  );
+
+  // Cancela la búsqueda en curso al desmontar
+  useEffect(() => abortRequest, [abortRequest]);
+
+  // Con loadOptions el filtrado lo hace quien carga; sin él se filtra por label localmente
+  const items = useMemo(() => {
+    if (loadOptions) return asyncOptions;
+    return filterOptions(options, query);
+  }, [loadOptions, asyncOptions, options, query]);
+
+  // Texto del input cuando no se está escribiendo: label de la opción elegida
+  const selectedLabel = useMemo(() => {
+    if (value === "" || value == null) return "";
+    const match = [selectedOption, ...options, ...asyncOptions].find(
+      (option) => option != null && getOptionValue(option) === value
+    );
+    return match ? getOptionLabel(match) : String(value);
+  }, [value, selectedOption, options, asyncOptions]);
+
+  // Ventana de opciones renderizadas (virtualización con altura fija por opción)
+  const visibleCount = Math.ceil(maxHeight / optionHeight);
+  const start = Math.max(0, Math.floor(scrollTop / optionHeight) - OVERSCAN);
+  const end = Math.min(items.length, start + visibleCount + OVERSCAN * 2);
+
+  const search = (text) => {
+    if (!loadOptions) return;
+    setStatus("loading");
+    debouncedLoad(text);
+  };
+
+  const open = () => {
+    if (isOpen || disabled || readOnly) return;
+    setIsOpen(true);
+    search(query ?? "");
+  };
+
+  const close = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+    setQuery(null);
+  };
+
+  // Mantiene visible la opción activa al navegar con el teclado
+  const scrollToIndex = (index) => {
+    const list = listRef.current;
+    if (!list) return;
+
+    const top = index * optionHeight;
+    if (top < list.scrollTop) list.scrollTop = top;
+    else if (top + optionHeight > list.scrollTop + list.clientHeight) {
+      list.scrollTop = top + optionHeight - list.clientHeight;
+    }
+  };
+
+  const moveActive = (index) => {
+    const next = Math.max(0, Math.min(items.length - 1, index));
+    setActiveIndex(next);
+    scrollToIndex(next);
+  };
+
+  const selectOption = (option) => {
+    setSelectedOption(option);
+    close();
+    onChange?.(getOptionValue(option));
+  };
+
+  const handleInputChange = (e) => {
+    const text = e.target.value;
+    setQuery(text);
+    setIsOpen(true);
+    setActiveIndex(text ? 0 : -1);
+    setScrollTop(0);
+    if (listRef.current) listRef.current.scrollTop = 0;
+    search(text);
+
+    // Borrar el texto limpia el valor del campo
+    if (!text) onChange?.("");
+  };
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        if (!isOpen) open();
+        else moveActive(activeIndex + 1);
+        break;
+      case "ArrowUp":
+        e.preventDefault();
+        if (isOpen) moveActive(activeIndex - 1);
+        break;
+      case "Enter":
+        if (isOpen && items[activeIndex]) {
+          e.preventDefault();
+          selectOption(items[activeIndex]);
+        }
+        break;
+      case "Escape":
+        if (isOpen) {
+          e.preventDefault();
+          close();
+        }
+        break;
+    }
+  };
+
+  const handleBlur = (e) => {
+    close();
+    onBlur?.(e);
+  };
+
+  const renderStatus = () => {
+    if (status === "loading") return MESSAGES.INFO.LOADING;
+    if (status === "error") return MESSAGES.ERROR.NETWORK;
+    if (!items.length) return noResultsText;
+    return null;
+  };
+
+  const statusText = isOpen ? renderStatus() : null;
+
+  return (
+    <div className="relative">
+      <input
+        {...props}
+        ref={ref}
+        id={inputId}
+        type="text"
+        role="combobox"
+        autoComplete="off"
+        aria-autocomplete="list"
+        aria-expanded={isOpen}
+        aria-controls={listboxId}
+        aria-activedescendant={
+          isOpen && activeIndex >= 0 ? `${inputId}-option-${activeIndex}` : undefined
+        }
+        value={query ?? selectedLabel}
+        onChange={handleInputChange}
+        onKeyDown={handleKeyDown}
+        onClick={open}
+        onBlur={handleBlur}
+        disabled={disabled}
+        readOnly={readOnly}
+      />
+
+      <div
+        className={`absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg ${
+          isOpen ? "" : "hidden"
+        }`}
+      >
+        <ul
+          ref={listRef}
+          id={listboxId}
+          role="listbox"
+          onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+          // Evita que el input pierda el foco al hacer clic en una opción
+          onMouseDown={(e) => e.preventDefault()}
+          style={{
+            maxHeight,
+            overflowY: "auto",
+            paddingTop: start * optionHeight,
+            paddingBottom: Math.max(0, items.length - end) * optionHeight,
+          }}
+        >
+          {isOpen &&
+            items.slice(start, end).map((option, offset) => {
+              const index = start + offset;
+              const isActive = index === activeIndex;
+              const isSelected = getOptionValue(option) === value;
+
+              return (
+                <li
+                  key={String(getOptionValue(option))}
+                  id={`${inputId}-option-${index}`}
+                  role="option"
+                  aria-selected={isSelected}
+                  aria-setsize={items.length}
+                  aria-posinset={index + 1}
+                  onClick={() => selectOption(option)}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  style={{ height: optionHeight }}
+                  className={`px-4 flex items-center cursor-pointer text-sm truncate ${
+                    isActive ? "bg-blue-50 text-blue-900" : "text-gray-700"
+                  } ${isSelected ? "font-medium" : ""}`}
+                >
+                  {getOptionLabel(option)}
+                </li>
+              );
+            })}
+        </ul>
+
+        {statusText && (
+          <p role="status" className="px-4 py-2 text-sm text-gray-500">
+            {statusText}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,250 @@
+import { useState, useRef, useEffect } from "react";
+import { FILE_CONFIG, MESSAGES } from "@constants";
+import { generateId } from "@helpers";
+import { formatFileName, formatFileSize } from "@formatters";
+import { mergeRefs, toContainerClassName, omitNativeRequired } from "@components/ui/inputHelpers";
+
+// Tipos MIME permitidos por la aplicación: accept solo puede restringirlos, nunca ampliarlos
+const ALLOWED_TYPES = Object.values(FILE_CONFIG.ALLOWED_TYPES).flat();
+const DEFAULT_ACCEPT = ALLOWED_TYPES.join(",");
+
+// Un patrón de accept puede ser un MIME ("image/png"), un grupo ("image/*") o una extensión (".pdf")
+const matchesPattern = (file, pattern) => {
+  if (pattern.startsWith(".")) return file.name.toLowerCase().endsWith(pattern.toLowerCase());
+  if (pattern.endsWith("/*")) return file.type.startsWith(pattern.slice(0, -1));
+  return file.type === pattern;
+};
+
+// Mensaje de error del archivo ("" si es válido): su tipo debe estar en FILE_CONFIG.ALLOWED_TYPES
+// y además cumplir accept
+const validateFile = (file, patterns, maxSize) => {
+  if (
+    !ALLOWED_TYPES.includes(file.type) ||
+    !patterns.some((pattern) => matchesPattern(file, pattern))
+  ) {
+    return MESSAGES.ERROR.INVALID_FORMAT;
+  }
+  if (file.size > maxSize) {
+    return `${MESSAGES.ERROR.FILE_TOO_LARGE} (máximo ${formatFileSize(maxSize)})`;
+  }
+  return "";
+};
+
+const isSameFile = (a, b) =>
+  a.name === b.name && a.size === b.size && a.lastModified === b.lastModified;
+
+// Miniatura de una imagen; la URL temporal se libera al quitar el archivo
+const FileThumbnail = ({ file }) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(file);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [file]);
+
+  return url ? (
+    <img src={url} alt="" className="w-10 h-10 rounded object-cover flex-shrink-0" />
+  ) : (
+    <span className="w-10 h-10 rounded bg-gray-100 flex-shrink-0" />
+  );
+};
+
+const FileIcon = () => (
+  <span className="w-10 h-10 rounded bg-gray-100 flex items-center justify-center flex-shrink-0">
+    <svg className="w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        strokeWidth={2}
+        d="M7 21h10a2 2 0 002-2V9.414a1 1 0 00-.293-.707l-5.414-5.414A1 1 0 0012.586 3H7a2 2 0 00-2 2v14a2 2 0 002 2z"
+      />
+    </svg>
+  </span>
+);
+
+export const FileDropzone = ({
+  id,
+  value,
+  onChange,
+  onBlur,
+  accept = DEFAULT_ACCEPT,
+  multiple = false,
+  maxSize = FILE_CONFIG.MAX_SIZE,
+  maxFiles = FILE_CONFIG.MAX_FILES_BULK,
+  placeholder = "Arrastra archivos aquí o haz clic para seleccionar",
+  disabled = false,
+  readOnly = false,
+  className = "",
+  ref,
+  ...props
+}) => {
+  const [generatedId] = useState(() => generateId("file-"));
+  const inputId = id || generatedId;
+
+  const [isDragging, setIsDragging] = useState(false); // Hay archivos arrastrándose encima
+  const [rejected, setRejected] = useState([]);         // Archivos descartados con su error
+
+  const inputRef = useRef(null);
+
+  // El valor es un array de File (también se acepta un FileList); se ignora lo que no sea archivo
+  const files = (Array.isArray(value) ? value : value ? Array.from(value) : []).filter(
+    (file) => file instanceof Blob
+  );
+  const patterns = accept.split(",").map((pattern) => pattern.trim()).filter(Boolean);
+  const limit = multiple ? maxFiles : 1;
+  const isLocked = disabled || readOnly;
+
+  // El input se limpia tras cada selección
+  const inputProps = omitNativeRequired(props);
+
+  // Valida los archivos nuevos; en modo simple un archivo válido reemplaza al anterior
+  const addFiles = (fileList) => {
+    if (isLocked) return;
+
+    const accepted = multiple ? [...files] : [];
+    const errors = [];
+    let added = 0;
+
+    Array.from(fileList).forEach((file) => {
+      if (accepted.some((current) => isSameFile(current, file))) return;
+
+      const error =
+        validateFile(file, patterns, maxSize) ||
+        (accepted.length >= limit ? MESSAGES.ERROR.TOO_MANY_FILES.replace("{max}", limit) : "");
+
+      if (error) {
+        errors.push({ file, error });
+        return;
+      }
+      accepted.push(file);
+      added++;
+    });
+
+    setRejected(errors);
+    if (added) onChange?.(accepted);
+  };
+
+  const removeFile = (file) => {
+    onChange?.(files.filter((current) => current !== file));
+  };
+
+  const dismissRejected = (entry) => {
+    setRejected((prev) => prev.filter((current) => current !== entry));
+  };
+
+  const handleInputChange = (e) => {
+    addFiles(e.target.files);
+    // Permite volver a elegir el mismo archivo después de quitarlo
+    e.target.value = "";
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!isLocked) setIsDragging(true);
+  };
+
+  const handleDragLeave = (e) => {
+    // Ignora la salida hacia elementos hijos de la zona
+    if (e.currentTarget.contains(e.relatedTarget)) return;
+    setIsDragging(false);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    addFiles(e.dataTransfer.files);
+  };
+
+  return (
+    <div>
+      {/* Zona para soltar archivos; un clic abre el selector del input */}
+      <div
+        onClick={() => !isLocked && inputRef.current?.click()}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+        className={`${toContainerClassName(className)} border-dashed text-center ${
+          isLocked ? "" : "cursor-pointer"
+        } ${isDragging ? "ring-2 ring-blue-200 border-blue-500" : ""}`}
+      >
+        <input
+          {...inputProps}
+          ref={mergeRefs(inputRef, ref)}
+          id={inputId}
+          type="file"
+          accept={accept}
+          multiple={multiple}
+          onChange={handleInputChange}
+          onBlur={onBlur}
+          onClick={(e) => e.stopPropagation()}
+          disabled={isLocked}
+          className="sr-only"
+        />
+        <p className="text-sm text-gray-600">{placeholder}</p>
+        <p className="text-xs text-gray-400 mt-1">
+          Máximo {formatFileSize(maxSize)} por archivo
+          {multiple && ` · hasta ${limit} archivos`}
+        </p>
+      </div>
+
+      {files.length > 0 && (
+        <ul className="mt-2 space-y-2" aria-label="Archivos seleccionados">
+          {files.map((file) => (
+            <li
+              key={`${file.name}-${file.size}-${file.lastModified}`}
+              className="flex items-center gap-3 p-2 border border-gray-200 rounded-lg"
+            >
+              {file.type.startsWith("image/") ? <FileThumbnail file={file} /> : <FileIcon />}
+              <div className="flex-1 min-w-0">
+                <p className="text-sm text-gray-700 truncate" title={file.name}>
+                  {formatFileName(file.name)}
+                </p>
+                <p className="text-xs text-gray-400">{formatFileSize(file.size)}</p>
+              </div>
+              {!isLocked && (
+                <button
+                  type="button"
+                  onClick={() => removeFile(file)}
+                  aria-label={`Quitar ${file.name}`}
+                  className="px-2 text-gray-400 hover:text-red-600"
+                >
+                  ×
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Archivos descartados, cada uno con su error */}
+      <div aria-live="polite">
+        {rejected.length > 0 && (
+          <ul className="mt-2 space-y-2">
+            {rejected.map((entry, index) => (
+              <li
+                key={`${entry.file.name}-${index}`}
+                className="flex items-center gap-3 p-2 border border-red-200 bg-red-50 rounded-lg"
+              >
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm text-red-800 truncate" title={entry.file.name}>
+                    {formatFileName(entry.file.name)} · {formatFileSize(entry.file.size)}
+                  </p>
+                  <p className="text-xs text-red-600">{entry.error}</p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => dismissRejected(entry)}
+                  aria-label={`Descartar aviso de ${entry.file.name}`}
+                  className="px-2 text-red-400 hover:text-red-700"
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
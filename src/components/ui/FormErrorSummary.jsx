@@ -0,0 +1,49 @@
+export const FormErrorSummary = ({
+  form,
+  title = "Revisa los siguientes campos:",
+  labels = {},
+  className = "",
+}) => {
+  const { errorList, isSubmitted, focusField, getFieldElementId } = form;
+
+  // Solo se muestra después de intentar enviar el formulario
+  if (!isSubmitted || errorList.length === 0) return null;
+
+  const handleClick = (name) => (e) => {
+    e.preventDefault();
+    focusField(name);
+  };
+
+  const renderItem = (name, message) => {
+    const text = labels[name] ? `${labels[name]}: ${message}` : message;
+    const elementId = getFieldElementId(name);
+
+    // Enlace al input registrado del campo; sin input registrado (ej: error del servidor
+    // de un campo que no se renderiza) no hay a dónde saltar y se muestra como texto
+    if (!elementId) return text;
+
+    return (
+      <a
+        href={`#${elementId}`}
+        onClick={handleClick(name)}
+        className="underline hover:text-red-900"
+      >
+        {text}
+      </a>
+    );
+  };
+
+  return (
+    <div
+      role="alert"
+      className={`p-4 rounded-lg border border-red-200 bg-red-50 text-red-700 text-sm ${className}`}
+    >
+      <p className="font-medium mb-2">{title}</p>
+      <ul className="list-disc list-inside space-y-1">
+        {errorList.map(({ name, message }) => (
+          <li key={name}>{renderItem(name, message)}</li>
+        ))}
+      </ul>
+    </div>
+  );
+};
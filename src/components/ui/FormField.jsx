@@ -0,0 +1,25 @@
+import { memo } from "react";
+import { ENV_CONFIG } from "@constants";
+import { useField } from "@context/FormContext";
+import { useRenderCount } from "@hooks/useRenderCount";
+import { FormInput } from "@components/ui/FormInput";
+
+// FormInput conectado al formulario del contexto con useField: se suscribe solo a su campo,
+// así que escribir en otro campo no lo re-renderiza (memo evita el re-render desde el padre).
+// Para medirlo: en desarrollo cada input lleva data-render-count con sus renders, o en
+// React DevTools > Profiler grabar mientras se escribe: solo el FormField editado se renderiza
+const ConnectedInput = ({ name, type, ...props }) => {
+  const renders = useRenderCount();
+  const field = useField(name, { type });
+
+  return (
+    <FormInput
+      {...field.props}
+      type={type}
+      data-render-count={ENV_CONFIG.isDevelopment ? renders : undefined}
+      {...props}
+    />
+  );
+};
+
+export const FormField = memo(ConnectedInput);
@@ -1,4 +1,15 @@
+import { useState } from "react";
+import { generateId } from "@helpers";
+import { Combobox } from "@components/ui/Combobox";
+import { MultiSelect } from "@components/ui/MultiSelect";
+import { FileDropzone } from "@components/ui/FileDropzone";
+import { getOptionValue, getOptionLabel } from "@components/ui/optionHelpers";
+
+// Teclas de navegación dentro de radio-group y checkbox-group (dirección del movimiento)
+const ARROW_KEYS = { ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1 };
+
 export const FormInput = ({
+  id,
   name,
   label,
   type = "text",
@@ -25,6 +36,13 @@ export const FormInput = ({
   className = "",
   ...props
 }) => {
+  // Ids para asociar el label y los mensajes con el input (se respeta un id recibido)
+  const [generatedId] = useState(() => generateId("input-"));
+  const inputId = id || generatedId;
+  const errorId = `${inputId}-error`;
+  const helperId = `${inputId}-helper`;
+  const describedBy = error ? errorId : helperText ? helperId : undefined;
+
   const getInputClasses = () => {
     const base = `
       w-full px-4 py-2 border rounded-lg 
@@ -79,13 +97,121 @@ export const FormInput = ({
             />
           </svg>
         );
+      case "validating":
+        return (
+          <svg
+            className={`${iconClasses} text-blue-500 animate-spin`}
+            fill="none"
+            viewBox="0 0 24 24"
+          >
+            <circle
+              className="opacity-25"
+              cx="12"
+              cy="12"
+              r="10"
+              stroke="currentColor"
+              strokeWidth="4"
+            />
+            <path
+              className="opacity-75"
+              fill="currentColor"
+              d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z"
+            />
+          </svg>
+        );
       default:
         return null;
     }
   };
 
+  const isOptionGroup = type === "radio-group" || type === "checkbox-group";
+
+  // Selecciona (radio) o marca/desmarca (checkbox) una opción del grupo
+  // radio-group guarda un solo valor; checkbox-group guarda un array de valores
+  const toggleOption = (optionValue, checked = true) => {
+    if (type === "radio-group") {
+      onChange?.(optionValue);
+      return;
+    }
+    const selected = Array.isArray(value) ? value : [];
+    onChange?.(
+      checked
+        ? [...selected.filter((item) => item !== optionValue), optionValue]
+        : selected.filter((item) => item !== optionValue)
+    );
+  };
+
+  // Flechas: mueven el foco entre opciones (en radio-group también seleccionan, como un radio nativo)
+  const handleGroupKeyDown = (e) => {
+    const direction = ARROW_KEYS[e.key];
+    if (!direction) return;
+
+    const inputs = [...e.currentTarget.querySelectorAll("input:not(:disabled)")];
+    const index = inputs.indexOf(e.target);
+    if (index === -1) return;
+
+    e.preventDefault();
+    const nextInput = inputs[(index + direction + inputs.length) % inputs.length];
+    nextInput.focus();
+    if (type === "radio-group") toggleOption(getOptionValue(options[nextInput.dataset.index]));
+  };
+
+  // El grupo se considera "tocado" cuando el foco sale de todas sus opciones
+  const handleGroupBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) onBlur?.(e);
+  };
+
+  const renderOptionGroup = () => {
+    const isRadio = type === "radio-group";
+    const selected = isRadio ? [value] : Array.isArray(value) ? value : [];
+    const hasSelection = options.some((option) => selected.includes(getOptionValue(option)));
+    // ref va a la primera opción (para focusField); aria-invalid se indica en el grupo
+    const { ref, "aria-invalid": _ariaInvalid, ...inputProps } = props;
+
+    return (
+      <div
+        role={isRadio ? "radiogroup" : "group"}
+        aria-invalid={isRadio ? !!error : undefined}
+        aria-required={isRadio && required ? true : undefined}
+        onKeyDown={handleGroupKeyDown}
+        className="space-y-2"
+      >
+        {options.map((option, index) => {
+          const optionValue = getOptionValue(option);
+          const isChecked = selected.includes(optionValue);
+          // En radio-group solo la opción marcada (o la primera) entra en el orden de Tab
+          const isTabStop = !isRadio || (hasSelection ? isChecked : index === 0);
+
+          return (
+            <label
+              key={String(optionValue)}
+              className={`flex items-center space-x-2 ${disabled ? "cursor-not-allowed opacity-60" : "cursor-pointer"}`}
+            >
+              <input
+                {...inputProps}
+                ref={index === 0 ? ref : undefined}
+                id={`${inputId}-${index}`}
+                name={name}
+                type={isRadio ? "radio" : "checkbox"}
+                value={String(optionValue)}
+                checked={isChecked}
+                onChange={(e) => toggleOption(optionValue, e.target.checked)}
+                tabIndex={isTabStop ? 0 : -1}
+                disabled={disabled || readOnly}
+                data-index={index}
+                className={`w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 focus:ring-blue-500 ${isRadio ? "rounded-full" : "rounded"}`}
+              />
+              <span className="text-sm text-gray-700">{getOptionLabel(option)}</span>
+            </label>
+          );
+        })}
+      </div>
+    );
+  };
+
   const renderInput = () => {
     const commonProps = {
+      id: inputId,
       name,
       value: value || "",
       onChange,
@@ -95,10 +221,26 @@ export const FormInput = ({
       disabled,
       readOnly,
       className: getInputClasses(),
+      "aria-invalid": !!error,
+      "aria-describedby": describedBy,
+      "aria-required": required || undefined,
       ...props,
     };
 
     switch (type) {
+      case "radio-group":
+      case "checkbox-group":
+        return renderOptionGroup();
+
+      case "combobox":
+        return <Combobox {...commonProps} options={options} />;
+
+      case "multiselect":
+        return <MultiSelect {...commonProps} value={value} options={options} />;
+
+      case "file":
+        return <FileDropzone {...commonProps} value={value} accept={accept} />;
+
       case "textarea":
         return <textarea {...commonProps} rows={rows} maxLength={maxLength} />;
 
@@ -150,14 +292,27 @@ export const FormInput = ({
     }
   };
 
-  const showLabel = label && type !== "checkbox";
+  const showLabel = label && type !== "checkbox" && !isOptionGroup;
+
+  // Los grupos de opciones se agrupan en un fieldset con su legend
+  const Container = isOptionGroup ? "fieldset" : "div";
+  const containerProps = isOptionGroup
+    ? { "aria-describedby": describedBy, onBlur: handleGroupBlur }
+    : {};
 
   return (
-    <div className={`mb-4 ${className}`}>
+    <Container className={`mb-4 ${className}`} {...containerProps}>
+      {isOptionGroup && label && (
+        <legend className="block text-sm font-medium text-gray-700 mb-2">
+          {label}
+          {required && <span className="text-red-500 ml-1" aria-hidden="true">*</span>}
+        </legend>
+      )}
+
       {showLabel && (
-        <label className="block text-sm font-medium text-gray-700 mb-2">
+        <label htmlFor={inputId} className="block text-sm font-medium text-gray-700 mb-2">
           {label}
-          {required && <span className="text-red-500 ml-1">*</span>}
+          {required && <span className="text-red-500 ml-1" aria-hidden="true">*</span>}
         </label>
       )}
 
@@ -176,32 +331,36 @@ export const FormInput = ({
           </div>
         )}
 
-        {getStateIcon()}
+        {!isOptionGroup && getStateIcon()}
       </div>
 
       {/* Contenedor fijo para mensajes con altura mínima */}
       <div className="min-h-[24px] mt-1">
-        {error && (
-          <div className="animate-fade-in-down">
-            <p className="text-red-600 text-sm flex items-start space-x-1">
-              <svg
-                className="w-4 h-4 mt-0.5 flex-shrink-0"
-                fill="currentColor"
-                viewBox="0 0 20 20"
-              >
-                <path
-                  fillRule="evenodd"
-                  d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z"
-                  clipRule="evenodd"
-                />
-              </svg>
-              <span>{error}</span>
-            </p>
-          </div>
-        )}
+        {/* Región viva: siempre presente para que el lector de pantalla anuncie el error al aparecer */}
+        <div aria-live="polite" aria-atomic="true">
+          {error && (
+            <div className="animate-fade-in-down">
+              <p id={errorId} className="text-red-600 text-sm flex items-start space-x-1">
+                <svg
+                  className="w-4 h-4 mt-0.5 flex-shrink-0"
+                  fill="currentColor"
+                  viewBox="0 0 20 20"
+                  aria-hidden="true"
+                >
+                  <path
+                    fillRule="evenodd"
+                    d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z"
+                    clipRule="evenodd"
+                  />
+                </svg>
+                <span>{error}</span>
+              </p>
+            </div>
+          )}
+        </div>
 
         {helperText && !error && (
-          <p className="text-gray-500 text-sm mt-1 animate-fade-in">
+          <p id={helperId} className="text-gray-500 text-sm mt-1 animate-fade-in">
             {helperText}
           </p>
         )}
@@ -241,6 +400,6 @@ export const FormInput = ({
         `,
         }}
       />
-    </div>
+    </Container>
   );
 };
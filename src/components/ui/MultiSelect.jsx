@@ -0,0 +1,232 @@
+import { useState, useRef } from "react";
+import { MESSAGES } from "@constants";
+import { generateId } from "@helpers";
+import { getOptionValue, getOptionLabel, filterOptions } from "@components/ui/optionHelpers";
+import { mergeRefs, toContainerClassName, omitNativeRequired } from "@components/ui/inputHelpers";
+
+export const MultiSelect = ({
+  id,
+  value,
+  onChange,
+  onBlur,
+  options = [],
+  maxSelections,
+  placeholder,
+  noResultsText = MESSAGES.INFO.NO_RESULTS,
+  disabled = false,
+  readOnly = false,
+  className = "",
+  ref,
+  ...props
+}) => {
+  const [generatedId] = useState(() => generateId("multiselect-"));
+  const inputId = id || generatedId;
+  const listboxId = `${inputId}-listbox`;
+
+  const [query, setQuery] = useState("");              // Texto escrito para filtrar
+  const [isOpen, setIsOpen] = useState(false);          // Lista desplegada
+  const [activeIndex, setActiveIndex] = useState(-1);   // Opción resaltada con el teclado o el mouse
+
+  const inputRef = useRef(null);
+
+  // El valor siempre es un array de valores de opciones
+  const selected = Array.isArray(value) ? value : [];
+
+  // El input solo guarda el texto de búsqueda
+  const inputProps = omitNativeRequired(props);
+  const isLocked = disabled || readOnly;
+  const isFull = maxSelections != null && selected.length >= maxSelections;
+  const items = filterOptions(options, query);
+
+  // Opción completa de cada valor elegido (para el texto del chip)
+  const selectedOptions = selected.map(
+    (item) => options.find((option) => getOptionValue(option) === item) ?? item
+  );
+
+  const removeValue = (item) => {
+    onChange?.(selected.filter((current) => current !== item));
+  };
+
+  // Marca o desmarca una opción; al llegar al máximo solo permite desmarcar
+  const toggleOption = (option) => {
+    const optionValue = getOptionValue(option);
+    if (selected.includes(optionValue)) {
+      removeValue(optionValue);
+      return;
+    }
+    if (isFull) return;
+
+    onChange?.([...selected, optionValue]);
+    setQuery("");
+  };
+
+  const moveActive = (index) => {
+    setActiveIndex(Math.max(0, Math.min(items.length - 1, index)));
+  };
+
+  const handleKeyDown = (e) => {
+    // Con readOnly el input sigue recibiendo el foco: el teclado no debe cambiar la selección
+    if (isLocked) return;
+
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        if (!isOpen) setIsOpen(true);
+        else moveActive(activeIndex + 1);
+        break;
+      case "ArrowUp":
+        e.preventDefault();
+        if (isOpen) moveActive(activeIndex - 1);
+        break;
+      case "Enter":
+        if (isOpen && items[activeIndex]) {
+          e.preventDefault();
+          toggleOption(items[activeIndex]);
+        }
+        break;
+      case "Backspace":
+        // Con el texto vacío, Backspace quita el último chip
+        if (!query && selected.length) removeValue(selected[selected.length - 1]);
+        break;
+      case "Escape":
+        if (isOpen) {
+          e.preventDefault();
+          setIsOpen(false);
+          setActiveIndex(-1);
+        }
+        break;
+    }
+  };
+
+  const handleInputChange = (e) => {
+    setQuery(e.target.value);
+    setIsOpen(true);
+    setActiveIndex(0);
+  };
+
+  const handleBlur = (e) => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+    setQuery("");
+    onBlur?.(e);
+  };
+
+  const statusText = isFull
+    ? MESSAGES.FORM.MAX_ITEMS.replace("{max}", maxSelections)
+    : !items.length
+    ? noResultsText
+    : null;
+
+  return (
+    <div className="relative">
+      {/* Caja con los chips y el input; un clic en cualquier parte enfoca el input.
+          Recibe las clases del input de FormInput, con sus estilos de foco aplicados a la caja */}
+      <div
+        onClick={() => inputRef.current?.focus()}
+        className={`${toContainerClassName(className)} flex flex-wrap items-center gap-1 cursor-text`}
+      >
+        {selectedOptions.length > 0 && (
+          <ul className="contents" aria-label="Opciones seleccionadas">
+            {selectedOptions.map((option) => {
+              const optionValue = getOptionValue(option);
+              const label = getOptionLabel(option);
+
+              return (
+                <li
+                  key={String(optionValue)}
+                  className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-blue-100 text-blue-800 text-sm"
+                >
+                  {label}
+                  {!isLocked && (
+                    <button
+                      type="button"
+                      tabIndex={-1}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        removeValue(optionValue);
+                      }}
+                      aria-label={`Quitar ${label}`}
+                      className="text-blue-500 hover:text-blue-800"
+                    >
+                      ×
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        <input
+          {...inputProps}
+          ref={mergeRefs(inputRef, ref)}
+          id={inputId}
+          type="text"
+          role="combobox"
+          autoComplete="off"
+          aria-autocomplete="list"
+          aria-expanded={isOpen}
+          aria-controls={listboxId}
+          aria-activedescendant={
+            isOpen && activeIndex >= 0 ? `${inputId}-option-${activeIndex}` : undefined
+          }
+          value={query}
+          placeholder={selected.length ? undefined : placeholder}
+          onChange={handleInputChange}
+          onKeyDown={handleKeyDown}
+          onFocus={() => !isLocked && setIsOpen(true)}
+          onBlur={handleBlur}
+          disabled={disabled}
+          readOnly={readOnly}
+          className="flex-1 min-w-[8rem] bg-transparent outline-none"
+        />
+      </div>
+
+      <div
+        className={`absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg ${
+          isOpen ? "" : "hidden"
+        }`}
+      >
+        <ul
+          id={listboxId}
+          role="listbox"
+          aria-multiselectable="true"
+          // Evita que el input pierda el foco al hacer clic en una opción
+          onMouseDown={(e) => e.preventDefault()}
+          className="max-h-60 overflow-y-auto"
+        >
+          {isOpen &&
+            items.map((option, index) => {
+              const optionValue = getOptionValue(option);
+              const isSelected = selected.includes(optionValue);
+              const isDisabled = isFull && !isSelected;
+
+              return (
+                <li
+                  key={String(optionValue)}
+                  id={`${inputId}-option-${index}`}
+                  role="option"
+                  aria-selected={isSelected}
+                  aria-disabled={isDisabled || undefined}
+                  onClick={() => toggleOption(option)}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  className={`px-4 py-2 flex items-center justify-between text-sm ${
+                    index === activeIndex ? "bg-blue-50 text-blue-900" : "text-gray-700"
+                  } ${isDisabled ? "opacity-50 cursor-not-allowed" : "cursor-pointer"}`}
+                >
+                  {getOptionLabel(option)}
+                  {isSelected && <span aria-hidden="true">✓</span>}
+                </li>
+              );
+            })}
+        </ul>
+
+        {statusText && (
+          <p role="status" className="px-4 py-2 text-sm text-gray-500">
+            {statusText}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,16 @@
+import { ENV_CONFIG } from "@constants";
+
+// Indicador de renders para medir suscripciones en desarrollo (count viene de useRenderCount);
+// en producción no renderiza nada
+export const RenderCounter = ({ label, count, className = "" }) => {
+  if (!ENV_CONFIG.isDevelopment) return null;
+
+  return (
+    <span
+      className={`inline-block px-2 py-0.5 rounded bg-gray-800 text-gray-100 text-xs font-mono ${className}`}
+      title="Renders del componente (en StrictMode cuentan doble)"
+    >
+      {label}: {count}
+    </span>
+  );
+};
@@ -0,0 +1,43 @@
+/**
+ * Utilidades para los controles de FormInput que envuelven un input en una caja propia
+ * (multi-select, zona de archivos): el input real no guarda el valor del campo
+ */
+
+/**
+ * Combina varias refs (objetos o callbacks) en un solo callback ref
+ * @param {...(Object|Function)} refs - Refs que deben recibir el elemento
+ * @returns {Function} Callback ref para el elemento
+ * 
+ * @example
+ * <input ref={mergeRefs(inputRef, ref)} />
+ */
+export const mergeRefs = (...refs) => (element) => {
+  refs.forEach((ref) => {
+    if (typeof ref === "function") ref(element);
+    else if (ref) ref.current = element;
+  });
+};
+
+/**
+ * Adapta las clases del input de FormInput a la caja que lo envuelve:
+ * los estilos de foco (focus:) se aplican cuando el foco está dentro (focus-within:)
+ * @param {string} className - Clases del input
+ * @returns {string} Clases para la caja
+ * 
+ * @example
+ * toContainerClassName("border focus:ring-2") // "border focus-within:ring-2"
+ */
+export const toContainerClassName = (className = "") =>
+  className.replace(/focus:/g, "focus-within:");
+
+/**
+ * Quita "required" de las props del input interno
+ * El input se vacía (texto de búsqueda, selector de archivos), así que "required" nativo
+ * bloquearía el envío aunque el campo tenga valor; aria-required sí se mantiene
+ * @param {Object} props - Props recibidas de FormInput
+ * @returns {Object} Props sin required
+ */
+export const omitNativeRequired = (props) => {
+  const { required: _required, ...inputProps } = props;
+  return inputProps;
+};
@@ -0,0 +1,44 @@
+/**
+ * Utilidades para las opciones de FormInput (grupos, combobox y multi-select)
+ * Las opciones pueden ser { value, label } o valores simples, igual que en select
+ */
+
+/**
+ * Obtiene el valor de una opción
+ * @param {Object|any} option - Opción { value, label } o valor simple
+ * @returns {any} Valor de la opción
+ */
+export const getOptionValue = (option) => option?.value ?? option;
+
+/**
+ * Obtiene el texto de una opción
+ * @param {Object|any} option - Opción { value, label } o valor simple
+ * @returns {string} Texto a mostrar
+ */
+export const getOptionLabel = (option) => String(option?.label ?? option);
+
+/**
+ * Texto comparable para búsquedas: minúsculas y sin acentos ("Pokémon" -> "pokemon")
+ * @param {string} text - Texto a normalizar
+ * @returns {string} Texto normalizado
+ */
+const normalizeSearchText = (text) =>
+  String(text)
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, ""); // Remover acentos
+
+/**
+ * Filtra opciones cuyo texto contiene la búsqueda (sin distinguir mayúsculas ni acentos)
+ * @param {Array} options - Opciones a filtrar
+ * @param {string} query - Texto escrito por el usuario
+ * @returns {Array} Opciones que coinciden (todas si la búsqueda está vacía)
+ * 
+ * @example
+ * filterOptions([{ value: "es", label: "España" }], "espa") // [{ value: "es", label: "España" }]
+ */
+export const filterOptions = (options, query) => {
+  if (!query) return options;
+  const search = normalizeSearchText(query);
+  return options.filter((option) => normalizeSearchText(getOptionLabel(option)).includes(search));
+};
@@ -0,0 +1,59 @@
+import { useFormValidation } from "@hooks/useFormValidation";
+import { FormContext } from "@context/FormContext";
+
+/**
+ * Provee un formulario ya creado con useFormValidation a todo su árbol
+ * Útil cuando el componente padre también necesita el objeto form
+ * El contexto recibe form.control (estable): los hijos solo se re-renderizan por sus suscripciones
+ * 
+ * @example
+ * const form = useFormValidation(initialValues, validationRules);
+ * 
+ * <FormProvider form={form}>
+ *   <AddressFields />
+ * </FormProvider>
+ */
+export const FormProvider = ({ form, children }) => (
+  <FormContext.Provider value={form.control}>{children}</FormContext.Provider>
+);
+
+/**
+ * Formulario que crea su estado con useFormValidation y lo provee a sus hijos
+ * Los campos se conectan con useField(name) o useFormContext() desde cualquier nivel
+ * 
+ * @example
+ * <Form
+ *   initialValues={{ email: "", address: { street: "", postalCode: "" } }}
+ *   validationRules={validationRules}
+ *   options={{ mode: VALIDATION_MODES.ON_TOUCHED }}
+ *   onSubmit={async (values) => saveUser(values)}
+ *   className="space-y-4"
+ * >
+ *   <EmailField />
+ *   <AddressFields />
+ *   <SubmitButton />
+ * </Form>
+ * 
+ * // Los hijos también pueden ser una función que recibe el formulario
+ * <Form initialValues={initialValues} validationRules={validationRules} onSubmit={onSubmit}>
+ *   {(form) => <button disabled={form.isSubmitting}>Enviar</button>}
+ * </Form>
+ */
+export const Form = ({
+  initialValues,
+  validationRules,
+  options,
+  onSubmit,
+  children,
+  ...props
+}) => {
+  const form = useFormValidation(initialValues, validationRules, options);
+
+  return (
+    <FormProvider form={form}>
+      <form noValidate onSubmit={form.handleSubmit(onSubmit)} {...props}>
+        {typeof children === "function" ? children(form) : children}
+      </form>
+    </FormProvider>
+  );
+};
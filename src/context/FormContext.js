@@ -0,0 +1,117 @@
+import { createContext, useContext, useCallback, useSyncExternalStore } from "react";
+
+/**
+ * Contexto con el control del formulario más cercano (form.control de useFormValidation)
+ * Se provee con <Form> o <FormProvider> (ver Form.jsx). Su valor no cambia entre renders:
+ * cada consumidor se re-renderiza solo por la parte del estado a la que se suscribe
+ */
+export const FormContext = createContext(null);
+
+/**
+ * Obtiene el control del formulario del contexto
+ * @returns {Object} { subscribe, getState, getForm }
+ * @throws {Error} Si se usa fuera de un <Form> o <FormProvider>
+ */
+const useFormControl = () => {
+  const control = useContext(FormContext);
+  if (!control) {
+    throw new Error("useFormContext debe usarse dentro de <Form> o <FormProvider>");
+  }
+  return control;
+};
+
+/**
+ * Se suscribe a un dato derivado del estado del formulario
+ * El componente solo se re-renderiza cuando cambia el resultado de select (comparado con Object.is)
+ * @param {Object} control - Control del formulario
+ * @param {Function} select - Función que lee el dato (ej: () => form.getFieldError("email"))
+ * @returns {any} Dato seleccionado
+ */
+const useFormSlice = (control, select) =>
+  useSyncExternalStore(control.subscribe, select, select);
+
+/**
+ * Obtiene el formulario del <Form> o <FormProvider> más cercano
+ * Se re-renderiza con cualquier cambio del formulario; para un solo campo usa useField
+ * 
+ * @returns {Object} Objeto retornado por useFormValidation
+ * @throws {Error} Si se usa fuera de un <Form> o <FormProvider>
+ * 
+ * @example
+ * const SubmitButton = () => {
+ *   const { isSubmitting, isValid } = useFormContext();
+ *   return <button type="submit" disabled={isSubmitting}>{isValid ? "Enviar" : "Validar y enviar"}</button>;
+ * };
+ */
+export const useFormContext = () => {
+  const control = useFormControl();
+  useFormSlice(control, control.getState);
+  return control.getForm();
+};
+
+/**
+ * Conecta un componente con un campo del formulario del contexto
+ * Solo se re-renderiza cuando cambia el valor, error, touched, dirty, hidden o estado de su campo
+ * 
+ * @param {string} name - Ruta del campo (ej: "address.postalCode")
+ * @param {Object} [fieldOptions] - Opciones para getFieldProps (ej: { type: "checkbox" })
+ * @returns {Object} Estado del campo, props para su input y setters
+ * 
+ * @example
+ * const AddressFields = ({ prefix = "address" }) => {
+ *   const street = useField(`${prefix}.street`);
+ *   const postalCode = useField(`${prefix}.postalCode`);
+ * 
+ *   return (
+ *     <>
+ *       <FormInput {...street.props} label="Calle" />
+ *       <FormInput {...postalCode.props} label="Código postal" maxLength={5} />
+ *     </>
+ *   );
+ * };
+ * 
+ * // Reutilizable en cualquier parte del árbol
+ * <Form initialValues={initialValues} validationRules={validationRules} onSubmit={onSubmit}>
+ *   <AddressFields />
+ *   <AddressFields prefix="billingAddress" />
+ * </Form>
+ */
+export const useField = (name, fieldOptions) => {
+  const control = useFormControl();
+  const form = control.getForm();
+  const { setFieldValue, setFieldTouched, setFieldError } = form;
+
+  // Una suscripción por dato del campo: los cambios en otros campos no lo re-renderizan
+  const value = useFormSlice(control, () => control.getForm().getFieldValue(name));
+  const error = useFormSlice(control, () => control.getForm().getFieldError(name));
+  const touched = useFormSlice(control, () => control.getForm().getFieldTouched(name));
+  const dirty = useFormSlice(control, () => control.getForm().getFieldDirty(name));
+  const hidden = useFormSlice(control, () => control.getForm().isFieldHidden(name));
+  const state = useFormSlice(control, () => control.getForm().getFieldState(name));
+
+  const setValue = useCallback(
+    (nextValue) => setFieldValue(name, nextValue),
+    [name, setFieldValue]
+  );
+  const setTouched = useCallback(
+    (isTouched = true) => setFieldTouched(name, isTouched),
+    [name, setFieldTouched]
+  );
+  const setError = useCallback(
+    (nextError) => setFieldError(name, nextError),
+    [name, setFieldError]
+  );
+
+  return {
+    value,                                 // Valor guardado del campo
+    error,                                 // Mensaje de error
+    touched,                               // Indica si fue tocado
+    dirty,                                 // Indica si difiere de su valor inicial
+    hidden,                                // Indica si está oculto por su condición "when"
+    state,                                 // Estado visual ("", "validating", "error", "success")
+    props: form.getFieldProps(name, fieldOptions), // Props listas para FormInput
+    setValue,                              // Establece el valor del campo
+    setTouched,                            // Marca el campo como tocado
+    setError,                              // Establece el error del campo
+  };
+};
@@ -0,0 +1,165 @@
+import { useRef, useCallback } from "react";
+import { generateId, getByPath } from "@helpers";
+
+// ============================================
+// OPERACIONES SOBRE ARRAYS (sin mutar)
+// ============================================
+
+const insertAt = (array, index, item) => [
+  ...array.slice(0, index),
+  item,
+  ...array.slice(index),
+];
+
+const removeAt = (array, index) => array.filter((_, i) => i !== index);
+
+const moveItem = (array, from, to) => {
+  const copy = [...array];
+  const [item] = copy.splice(from, 1);
+  copy.splice(to, 0, item);
+  return copy;
+};
+
+const swapItems = (array, indexA, indexB) => {
+  const copy = [...array];
+  [copy[indexA], copy[indexB]] = [copy[indexB], copy[indexA]];
+  return copy;
+};
+
+/**
+ * Hook para manejar grupos repetibles de campos (filas) dentro de useFormValidation
+ * 
+ * @param {Object} form - Objeto retornado por useFormValidation
+ * @param {string} name - Ruta del campo array en values (ej: "team")
+ * 
+ * @returns {Object} Filas con keys estables y operaciones para modificarlas
+ * 
+ * @example
+ * const validationRules = {
+ *   "team[].pokemon": [(value) => !value ? "Elige un Pokémon" : ""],
+ *   "team[].nickname": [(value) => value && value.length > 12 ? "Máximo 12 caracteres" : ""]
+ * };
+ * 
+ * const form = useFormValidation({ team: [] }, validationRules);
+ * const { fields, append, remove, move } = useFieldArray(form, "team");
+ * 
+ * {fields.map((field) => (
+ *   <div key={field.key}>
+ *     <FormInput
+ *       name={`${field.name}.nickname`}
+ *       value={form.values.team[field.index].nickname}
+ *       onChange={form.handleChange(`${field.name}.nickname`)}
+ *       onBlur={form.handleBlur(`${field.name}.nickname`)}
+ *       error={form.errors.team?.[field.index]?.nickname}
+ *       state={form.getFieldState(`${field.name}.nickname`)}
+ *     />
+ *     <button onClick={() => remove(field.index)}>Quitar</button>
+ *     <button onClick={() => move(field.index, field.index - 1)}>Subir</button>
+ *   </div>
+ * ))}
+ * 
+ * <button onClick={() => append({ pokemon: "", nickname: "" })}>Agregar</button>
+ * 
+ * @example
+ * // Con array(object({ ... })).min(1) del esquema, el error de la lista va aparte de las filas
+ * const { fields, error, append } = useFieldArray(form, "team");
+ * {error && <p role="alert">{error}</p>}
+ */
+export const useFieldArray = (form, name) => {
+  const { values, listErrors, updateFieldArray } = form;
+  const items = getByPath(values, name) || [];
+
+  // Keys estables por fila: se mueven junto con los datos en cada operación
+  const keysRef = useRef([]);
+
+  // Sincroniza las keys si el array cambió desde fuera (reset, setFieldValue)
+  if (keysRef.current.length !== items.length) {
+    keysRef.current = items.map(
+      (_, index) => keysRef.current[index] || generateId("field-")
+    );
+  }
+
+  /**
+   * Aplica una operación a las keys y al estado del formulario
+   * @param {Function} operation - Función (array, createItem) => nuevoArray
+   */
+  const apply = useCallback(
+    (operation) => {
+      keysRef.current = operation(keysRef.current, () => generateId("field-"));
+      updateFieldArray(name, operation);
+    },
+    [name, updateFieldArray]
+  );
+
+  /**
+   * Agrega una fila al final
+   * @param {any} item - Valores iniciales de la fila
+   */
+  const append = useCallback(
+    (item) => apply((array, createItem) => [...array, createItem(item)]),
+    [apply]
+  );
+
+  /**
+   * Inserta una fila en una posición específica
+   * @param {number} index - Posición donde insertar
+   * @param {any} item - Valores iniciales de la fila
+   */
+  const insert = useCallback(
+    (index, item) =>
+      apply((array, createItem) => insertAt(array, index, createItem(item))),
+    [apply]
+  );
+
+  /**
+   * Elimina una fila
+   * @param {number} index - Posición de la fila a eliminar
+   */
+  const remove = useCallback(
+    (index) => apply((array) => removeAt(array, index)),
+    [apply]
+  );
+
+  /**
+   * Mueve una fila a otra posición
+   * @param {number} from - Posición actual
+   * @param {number} to - Nueva posición
+   */
+  const move = useCallback(
+    (from, to) => {
+      if (to < 0 || to >= items.length) return;
+      apply((array) => moveItem(array, from, to));
+    },
+    [apply, items.length]
+  );
+
+  /**
+   * Intercambia dos filas
+   * @param {number} indexA - Posición de la primera fila
+   * @param {number} indexB - Posición de la segunda fila
+   */
+  const swap = useCallback(
+    (indexA, indexB) => apply((array) => swapItems(array, indexA, indexB)),
+    [apply]
+  );
+
+  // Filas para renderizar: key estable, índice actual y ruta base de sus campos
+  const fields = items.map((_, index) => ({
+    key: keysRef.current[index],
+    index,
+    name: `${name}[${index}]`,
+  }));
+
+  // Error de las reglas de la lista completa (se guarda aparte de los errores de las filas)
+  const error = listErrors?.[name] || "";
+
+  return {
+    fields,   // Filas con { key, index, name }
+    error,    // Error de la lista (ej: mínimo de filas del esquema)
+    append,   // Agrega una fila al final
+    insert,   // Inserta una fila en una posición
+    remove,   // Elimina una fila
+    move,     // Mueve una fila
+    swap,     // Intercambia dos filas
+  };
+};
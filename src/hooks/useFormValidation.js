@@ -1,4 +1,443 @@
-import { useState, useCallback } from "react";
+import {
+  useState,
+  useCallback,
+  useMemo,
+  useRef,
+  useEffect,
+  useSyncExternalStore,
+} from "react";
+import { VALIDATION_MODES, MESSAGES, STORAGE_KEYS } from "@constants";
+import {
+  getByPath,
+  setByPath,
+  unsetByPath,
+  isEqual,
+  hasAnyError,
+  debounce,
+  getStorageItem,
+  setStorageItem,
+} from "@helpers";
+import { createFormStore } from "@utils/formStore";
+
+// Mensaje usado cuando una regla asíncrona falla (error de red, servidor, etc.)
+const ASYNC_RULE_ERROR = "No se pudo validar el campo";
+
+/**
+ * Indica si un valor es una Promise (o thenable)
+ * @param {any} value - Valor a verificar
+ * @returns {boolean} true si el valor tiene un método then
+ */
+const isPromise = (value) => !!value && typeof value.then === "function";
+
+/**
+ * Determina si un evento debe disparar la validación según el modo activo
+ * @param {string} trigger - Evento que ocurrió (VALIDATION_MODES.ON_CHANGE u ON_BLUR)
+ * @param {string} mode - Modo de validación activo
+ * @param {boolean} isTouched - Indica si el campo ya fue tocado
+ * @returns {boolean} true si se debe validar el campo
+ */
+const shouldValidateOn = (trigger, mode, isTouched) => {
+  switch (mode) {
+    case VALIDATION_MODES.ALL:
+      return true;
+    case VALIDATION_MODES.ON_TOUCHED:
+      return trigger === VALIDATION_MODES.ON_BLUR || isTouched;
+    case VALIDATION_MODES.ON_SUBMIT:
+      return false;
+    default:
+      return mode === trigger;
+  }
+};
+
+/**
+ * Ejecuta un callback del usuario (onSuccess, onError, onSettled...) sin dejar escapar sus errores
+ * handleSubmit se usa como handler de eventos: un error aquí sería un rechazo sin manejar
+ * @param {Function} [callback] - Callback a ejecutar
+ * @param {...any} args - Argumentos del callback
+ */
+const runCallback = (callback, ...args) => {
+  try {
+    callback?.(...args);
+  } catch (error) {
+    console.error("Error en un callback del formulario:", error);
+  }
+};
+
+/**
+ * Convierte un mapa de reglas anidado a un mapa plano por ruta
+ * Un array que empieza con un objeto describe las reglas de cada fila de un campo array;
+ * las funciones que le siguen son reglas de la lista completa (ej: mínimo de filas)
+ * @param {Object} rules - Reglas (planas o anidadas)
+ * @param {string} [prefix=""] - Ruta acumulada
+ * @param {Object} [result={}] - Mapa plano resultante
+ * @returns {Object} Reglas planas: { "address.postalCode": [...], "team[].nickname": [...] }
+ * 
+ * @example
+ * flattenRules({ address: { postalCode: [rule] }, team: [{ nickname: [rule] }, minRule] })
+ * // { "address.postalCode": [rule], "team[].nickname": [rule], team: [minRule] }
+ */
+const flattenRules = (rules, prefix = "", result = {}) => {
+  Object.entries(rules || {}).forEach(([key, node]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (Array.isArray(node)) {
+      // [{ ... }, ...listRules] -> reglas de cada fila y de la lista; [rule1, rule2] -> reglas del campo
+      if (node[0] && typeof node[0] === "object") {
+        flattenRules(node[0], `${path}[]`, result);
+        if (node.length > 1) result[path] = node.slice(1);
+      } else {
+        result[path] = node;
+      }
+    } else if (node && typeof node === "object") {
+      flattenRules(node, path, result);
+    }
+  });
+  return result;
+};
+
+/**
+ * Indica si una ruta es una lista con reglas por fila (ej: "team" con reglas "team[].nickname")
+ * El error de sus reglas de lista (ej: mínimo de filas) se guarda en listErrors, no en errors:
+ * errors.team ya contiene los errores de sus filas
+ * @param {Object} rules - Reglas planas por ruta
+ * @param {string} name - Ruta del campo (ej: "team" o "teams[0].members")
+ * @returns {boolean} true si la ruta tiene reglas por fila
+ */
+const isListPath = (rules, name) => {
+  const rowPrefix = `${String(name).replace(/\[\d+\]/g, "[]")}[]`;
+  return Object.keys(rules).some((pattern) => pattern.startsWith(rowPrefix));
+};
+
+/**
+ * Quita de un mapa plano por ruta (ej: listErrors) las entradas dentro de las rutas indicadas
+ * @param {Object} map - Mapa plano: { "team": "...", "teams[0].members": "..." }
+ * @param {string[]} paths - Rutas de campos o ramas a quitar
+ * @returns {Object} Mapa sin esas entradas (la misma referencia si no cambia)
+ */
+const omitPaths = (map, paths) => {
+  const keys = Object.keys(map).filter((key) => paths.some((path) => isPathWithin(key, path)));
+  if (!keys.length) return map;
+
+  const next = { ...map };
+  keys.forEach((key) => delete next[key]);
+  return next;
+};
+
+/**
+ * Obtiene la entrada de un campo en un mapa por ruta (reglas, transformaciones)
+ * Los campos dentro de arrays usan la entrada con índice comodín: "team[2].nickname" -> "team[].nickname"
+ * @param {Object} [map] - Mapa por ruta (ej: reglas del formulario)
+ * @param {string} name - Ruta del campo
+ * @returns {any} Entrada del campo o undefined
+ */
+const getPathEntry = (map, name) =>
+  map?.[name] || map?.[String(name).replace(/\[\d+\]/g, "[]")];
+
+/**
+ * Indica si una ruta es igual a otra o está dentro de ella
+ * @param {string} name - Ruta a verificar (ej: "address.city")
+ * @param {string} path - Ruta del campo o rama (ej: "address")
+ * @returns {boolean} true si name es path o uno de sus campos hijos
+ */
+const isPathWithin = (name, path) =>
+  name === path || name.startsWith(`${path}.`) || name.startsWith(`${path}[`);
+
+/**
+ * Indica si un campo está oculto por su condición "when" o por la de alguno de sus padres
+ * Las condiciones usan rutas con índice comodín igual que las reglas ("team[].level")
+ * @param {Object} conditions - Condiciones por ruta: { campo: (values, name) => boolean }
+ * @param {string} name - Ruta concreta del campo (ej: "invoice.rfc")
+ * @param {Object} values - Valores del formulario
+ * @returns {boolean} true si alguna condición que aplica al campo no se cumple
+ */
+const isHiddenField = (conditions, name, values) => {
+  const pattern = String(name).replace(/\[\d+\]/g, "[]");
+  return Object.entries(conditions || {}).some(
+    ([path, condition]) =>
+      isPathWithin(pattern, path) && !condition(values, name)
+  );
+};
+
+/**
+ * Expande una ruta de reglas con índices comodín a las rutas reales según los valores
+ * @param {string} pattern - Ruta de la regla (ej: "team[].nickname")
+ * @param {Object} values - Valores del formulario
+ * @returns {string[]} Rutas concretas (ej: ["team[0].nickname", "team[1].nickname"])
+ */
+const expandRulePath = (pattern, values) => {
+  const wildcard = pattern.indexOf("[]");
+  if (wildcard === -1) return [pattern];
+
+  const arrayPath = pattern.slice(0, wildcard);
+  const rest = pattern.slice(wildcard + 2);
+  const items = getByPath(values, arrayPath);
+  if (!Array.isArray(items)) return [];
+
+  return items.flatMap((_, index) =>
+    expandRulePath(`${arrayPath}[${index}]${rest}`, values)
+  );
+};
+
+/**
+ * Obtiene las rutas concretas de los campos ocultos por su condición "when"
+ * @param {Object} conditions - Condiciones por ruta: { campo: (values, name) => boolean }
+ * @param {Object} values - Valores del formulario
+ * @returns {string[]} Rutas de los campos ocultos (ej: ["rfc", "team[1].level"])
+ */
+const getHiddenFields = (conditions, values) =>
+  Object.keys(conditions || {})
+    .flatMap((pattern) => expandRulePath(pattern, values))
+    .filter((name) => isHiddenField(conditions, name, values));
+
+/**
+ * Obtiene los errores por campo y el mensaje general de un error de envío
+ * Soporta respuestas tipo { message, errors: { campo: "mensaje" } } lanzadas directamente,
+ * en error.data / error.body o en error.response.data (axios)
+ * @param {any} error - Error lanzado por onSubmit
+ * @returns {Object} { fields: Object, message: string }
+ */
+const defaultMapSubmitError = (error) => {
+  const body = error?.response?.data || error?.data || error?.body || error;
+  const fields = body?.errors && typeof body.errors === "object" ? body.errors : {};
+  const hasFieldErrors = Object.keys(fields).length > 0;
+
+  return {
+    fields,
+    message:
+      (typeof body?.message === "string" && body.message) ||
+      (hasFieldErrors ? MESSAGES.ERROR.VALIDATION : MESSAGES.ERROR.GENERIC),
+  };
+};
+
+/**
+ * Convierte errores de servidor (anidados, por ruta o como arrays de mensajes) a pares [ruta, mensaje]
+ * @param {Object} fields - Errores por campo
+ * @param {string} [prefix=""] - Ruta acumulada
+ * @returns {Array<[string, string]>} Pares [ruta, mensaje]
+ * 
+ * @example
+ * flattenSubmitErrors({ email: ["Ya existe"], address: { postalCode: "Inválido" } })
+ * // [["email", "Ya existe"], ["address.postalCode", "Inválido"]]
+ */
+const flattenSubmitErrors = (fields, prefix = "") =>
+  Object.entries(fields || {}).flatMap(([key, message]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (Array.isArray(message)) return message.length ? [[path, String(message[0])]] : [];
+    if (message && typeof message === "object") return flattenSubmitErrors(message, path);
+    return message ? [[path, String(message)]] : [];
+  });
+
+/**
+ * Normaliza el resultado de validateForm
+ * Acepta un mensaje, un array de mensajes o { form: mensaje(s), fields: { campo: "mensaje" } }
+ * @param {any} result - Resultado de validateForm
+ * @returns {Object} { form: string[], fields: Array<[string, string]> }
+ * 
+ * @example
+ * normalizeFormErrors({ form: "Agrega un email o un teléfono", fields: { endDate: "Fecha inválida" } })
+ * // { form: ["Agrega un email o un teléfono"], fields: [["endDate", "Fecha inválida"]] }
+ */
+const normalizeFormErrors = (result) => {
+  if (!result) return { form: [], fields: [] };
+  if (typeof result === "string" || Array.isArray(result)) {
+    return { form: [].concat(result).filter(Boolean), fields: [] };
+  }
+  return {
+    form: [].concat(result.form || []).filter(Boolean),
+    fields: flattenSubmitErrors(result.fields),
+  };
+};
+
+/**
+ * Indica si un valor se recorre campo por campo (objetos planos y arrays)
+ * @param {any} value - Valor a verificar
+ * @returns {boolean} true si es un objeto plano o un array
+ */
+const isBranch = (value) =>
+  Array.isArray(value) ||
+  (!!value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype);
+
+/**
+ * Compara los valores contra los iniciales y marca los campos modificados
+ * @param {any} values - Valores actuales (o una rama)
+ * @param {any} initialValues - Valores iniciales (o la misma rama)
+ * @returns {Object|true|undefined} Campos modificados con la forma de values, true si la hoja
+ *                                  cambió o undefined si no hay cambios
+ * 
+ * @example
+ * getDirtyFields({ name: "Ana", address: { city: "CDMX" } }, { name: "Ana", address: { city: "" } })
+ * // { address: { city: true } }
+ */
+const getDirtyFields = (values, initialValues) => {
+  if (isEqual(values, initialValues)) return undefined;
+  if (
+    !isBranch(values) ||
+    !isBranch(initialValues) ||
+    Array.isArray(values) !== Array.isArray(initialValues)
+  ) {
+    return true;
+  }
+
+  const result = Array.isArray(values) ? [] : {};
+  new Set([...Object.keys(values), ...Object.keys(initialValues)]).forEach((key) => {
+    const dirty = getDirtyFields(values[key], initialValues[key]);
+    if (dirty) result[key] = dirty;
+  });
+  return result;
+};
+
+/**
+ * Obtiene las rutas de los campos con valor en un estado anidado (touched o errors)
+ * @param {Object} state - Estado touched o errors (posiblemente anidado)
+ * @param {string} [prefix=""] - Ruta acumulada
+ * @returns {string[]} Rutas de los campos marcados (ej: ["email", "team[0].nickname"])
+ */
+const getLeafPaths = (state, prefix = "") =>
+  Object.entries(state || {}).flatMap(([key, value]) => {
+    const path = Array.isArray(state) ? `${prefix}[${key}]` : prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === "object") return getLeafPaths(value, path);
+    return value ? [path] : [];
+  });
+
+/**
+ * Extrae de los valores solo los campos modificados
+ * Los arrays se incluyen completos si cambió cualquiera de sus filas
+ * @param {any} values - Valores actuales (o una rama)
+ * @param {Object|true} dirtyFields - Campos modificados de la misma rama
+ * @returns {any} Valores parciales con la misma forma que values
+ */
+const pickChangedValues = (values, dirtyFields) => {
+  if (dirtyFields === true || Array.isArray(values) || !isBranch(values)) return values;
+  return Object.fromEntries(
+    Object.keys(dirtyFields).map((key) => [key, pickChangedValues(values[key], dirtyFields[key])])
+  );
+};
+
+// ============================================
+// BORRADORES PERSISTIDOS (STORAGE_KEYS.FORM_DRAFTS)
+// ============================================
+
+// Campos que nunca se guardan en el borrador
+const DEFAULT_DRAFT_EXCLUDE = ["password", "confirmPassword"];
+
+// Tiempo que se conserva un borrador: 7 días
+const DEFAULT_DRAFT_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Indica si un valor es un archivo (File/Blob), que no se puede serializar a JSON
+ * @param {any} value - Valor a verificar
+ * @returns {boolean} true si es un archivo
+ */
+const isFileValue = (value) => typeof Blob !== "undefined" && value instanceof Blob;
+
+/**
+ * Prepara los valores para guardarlos como JSON (omite archivos, que no son serializables)
+ * Los archivos dentro de arrays (ej: valor de un campo type="file") se quitan del array
+ * en lugar de quedar como null
+ * @param {any} value - Valor del formulario
+ * @returns {any} Valor serializable
+ */
+const toDraftValue = (value) => {
+  if (isFileValue(value)) return undefined;
+  if (typeof FileList !== "undefined" && value instanceof FileList) return undefined;
+  if (Array.isArray(value)) return value.filter((item) => !isFileValue(item)).map(toDraftValue);
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, toDraftValue(item)])
+    );
+  }
+  return value;
+};
+
+/**
+ * Lee el borrador de un formulario; descarta (y elimina) los borradores expirados
+ * @param {string} key - Clave del formulario dentro de STORAGE_KEYS.FORM_DRAFTS
+ * @param {number} maxAge - Antigüedad máxima en milisegundos
+ * @returns {Object|null} Valores guardados o null si no hay borrador válido
+ */
+const readDraft = (key, maxAge) => {
+  const drafts = getStorageItem(STORAGE_KEYS.FORM_DRAFTS, {});
+  const draft = drafts[key];
+  if (!draft) return null;
+
+  if (Date.now() - draft.savedAt > maxAge) {
+    removeDraft(key);
+    return null;
+  }
+  return draft.values;
+};
+
+/**
+ * Guarda el borrador de un formulario sin los campos excluidos
+ * @param {string} key - Clave del formulario
+ * @param {Object} values - Valores actuales
+ * @param {string[]} exclude - Rutas de campos que no se guardan
+ */
+const writeDraft = (key, values, exclude) => {
+  const draftValues = exclude.reduce(
+    (acc, path) => (getByPath(acc, path) === undefined ? acc : setByPath(acc, path, undefined)),
+    toDraftValue(values)
+  );
+  const drafts = getStorageItem(STORAGE_KEYS.FORM_DRAFTS, {});
+  setStorageItem(STORAGE_KEYS.FORM_DRAFTS, {
+    ...drafts,
+    [key]: { values: draftValues, savedAt: Date.now() },
+  });
+};
+
+/**
+ * Elimina el borrador de un formulario
+ * @param {string} key - Clave del formulario
+ */
+const removeDraft = (key) => {
+  const { [key]: _removed, ...drafts } = getStorageItem(STORAGE_KEYS.FORM_DRAFTS, {});
+  setStorageItem(STORAGE_KEYS.FORM_DRAFTS, drafts);
+};
+
+/**
+ * Combina los valores iniciales con el borrador guardado
+ * Los campos excluidos y los que no están en el borrador conservan su valor inicial
+ * @param {Object} initialValues - Valores iniciales del formulario
+ * @param {Object} draftValues - Valores del borrador
+ * @param {string[]} exclude - Rutas de campos excluidos
+ * @returns {Object} Valores restaurados
+ */
+const mergeDraft = (initialValues, draftValues, exclude) => {
+  const restored = { ...initialValues };
+  Object.entries(draftValues).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) restored[key] = value;
+  });
+  return exclude.reduce(
+    (acc, path) => setByPath(acc, path, getByPath(initialValues, path)),
+    restored
+  );
+};
+
+// ============================================
+// VALIDACIÓN
+// ============================================
+
+/**
+ * Ejecuta las reglas en orden hasta encontrar un error
+ * Si una regla retorna una Promise, el resto de reglas se ejecuta al resolverse
+ * @param {Function[]} rules - Reglas del campo
+ * @param {any} value - Valor del campo
+ * @param {Object} allValues - Valores completos del formulario
+ * @param {Object} context - Contexto para reglas asíncronas ({ signal })
+ * @returns {string|Promise<string>} Mensaje de error, o Promise si alguna regla es asíncrona
+ */
+const runRules = (rules, value, allValues, context) => {
+  for (let i = 0; i < rules.length; i++) {
+    const result = rules[i](value, allValues, context);
+    if (isPromise(result)) {
+      return result.then((error) =>
+        error ? error : runRules(rules.slice(i + 1), value, allValues, context)
+      );
+    }
+    if (result) return result;
+  }
+  return "";
+};
 
 /**
  * Hook personalizado para manejar validación de formularios en React
@@ -6,7 +445,65 @@ import { useState, useCallback } from "react";
  * @param {Object} initialValues - Valores iniciales del formulario
  * @param {Object} validationRules - Objeto con las reglas de validación para cada campo
  *                                   Formato: { fieldName: [rule1, rule2, ...] }
- *                                   Cada regla es una función que recibe el valor y retorna un string de error o ""
+ *                                   Para campos dentro de arrays se usa "[]": { "team[].nickname": [...] }
+ *                                   También acepta la forma anidada de los valores:
+ *                                   { address: { postalCode: [...] }, team: [{ nickname: [...] }] }
+ *                                   Cada regla es una función que recibe (value, values, { signal }) y retorna
+ *                                   un string de error o "", o una Promise que se resuelve con ese string
+ * @param {Object} [options] - Opciones adicionales del formulario
+ * @param {Object} [options.dependencies] - Campos que dependen de otros para validarse
+ *                                          Formato: { fieldName: ["otherField", ...] }
+ *                                          Cuando "otherField" cambia, "fieldName" se revalida si ya fue tocado
+ *                                          createMatchRule y equals() registran su campo origen solos;
+ *                                          solo hace falta declararlo para reglas propias que leen
+ *                                          otros campos de values (no se pueden detectar)
+ * @param {string} [options.mode="all"] - Cuándo validar antes del primer envío
+ *                                        ("onChange", "onBlur", "onSubmit", "onTouched" o "all")
+ * @param {string} [options.reValidateMode="onChange"] - Cuándo revalidar después del primer envío
+ *                                                       ("onChange", "onBlur" o "onSubmit")
+ * @param {Function} [options.mapSubmitError] - Convierte el error lanzado por onSubmit a
+ *                                              { fields: { campo: "mensaje" }, message: "..." }
+ * @param {Object} [options.persist] - Guarda un borrador de los valores en localStorage
+ * @param {string} options.persist.key - Clave única del formulario dentro de STORAGE_KEYS.FORM_DRAFTS
+ * @param {string[]} [options.persist.exclude=["password", "confirmPassword"]] - Campos que no se guardan
+ * @param {number} [options.persist.debounce=500] - Espera en ms antes de guardar tras un cambio
+ * @param {number} [options.persist.maxAge=7 días] - Antigüedad máxima del borrador en ms
+ * @param {boolean|Object} [options.history] - Habilita deshacer/rehacer sobre los valores
+ * @param {number} [options.history.limit=50] - Número máximo de pasos guardados
+ * @param {number} [options.history.coalesce=1000] - Ventana en ms para agrupar cambios seguidos
+ *                                                   del mismo campo (teclazos) en un solo paso
+ * @param {boolean} [options.enableReinitialize=false] - Reinicia el formulario cuando cambia el
+ *                                                     contenido de initialValues (carga asíncrona)
+ * @param {boolean} [options.keepTouchedValues=false] - Al reiniciar conserva los valores de los
+ *                                                    campos que el usuario ya tocó
+ * @param {Object} [options.when] - Condiciones de campos: { campo: (values, name) => boolean }
+ *                                  Un campo (o rama) cuya condición no se cumple queda oculto:
+ *                                  no se valida y se descartan su error y su estado touched
+ * @param {boolean} [options.omitHiddenValues=false] - Quita los campos ocultos de los valores
+ *                                                   que recibe onSubmit
+ * @param {boolean|Object} [options.errorFocus] - Enfoque del primer error al fallar el envío
+ *                                               (false lo desactiva). Solo usa campos registrados
+ *                                               con registerFieldRef
+ * @param {string} [options.errorFocus.order="dom"] - "dom" (posición en la página) o "declared"
+ *                                                    (orden de las reglas)
+ * @param {number} [options.errorFocus.offset=0] - Pixeles a dejar arriba del campo (headers fijos)
+ * @param {string} [options.errorFocus.behavior="smooth"] - Comportamiento del scroll ("smooth" o "auto")
+ * @param {Object} [options.transforms] - Transformaciones por campo: { campo: { parse, format, normalize } }
+ *                                        parse(input, values) -> valor guardado (en cada cambio)
+ *                                        format(valor, values) -> texto del input (getDisplayValue)
+ *                                        normalize(valor) -> valor guardado (al perder el foco)
+ * @param {Function} [options.validateForm] - Reglas del formulario completo: (values) => resultado
+ *                                            (puede ser async). El resultado puede ser un mensaje,
+ *                                            un array de mensajes o { form, fields: { campo: "msg" } }.
+ *                                            Se ejecuta con validateAll() y, tras el primer envío,
+ *                                            con cada cambio
+ * @param {Function} [options.onSubmitStart] - (values) => void. Se ejecuta justo antes de onSubmit
+ * @param {Function} [options.onSuccess] - (result, values) => void. onSubmit terminó sin errores
+ * @param {Function} [options.onError] - (error, values) => void. onSubmit lanzó un error
+ *                                       (no se ejecuta si el envío se canceló con abortSubmit)
+ * @param {Function} [options.onSettled] - (result, error, values) => void. Se ejecuta al terminar
+ *                                         onSubmit, con éxito, error o cancelación
+ * @param {boolean} [options.resetOnSuccess=false] - Resetea el formulario después de un envío exitoso
  * 
  * @returns {Object} Objeto con propiedades y métodos para manejar el formulario
  * 
@@ -31,34 +528,600 @@ import { useState, useCallback } from "react";
  *   handleSubmit,
  *   isValid
  * } = useFormValidation(initialValues, validationRules);
+ * 
+ * @example
+ * // Validación entre campos (confirmar contraseña)
+ * // createMatchRule registra "password" como origen: confirmPassword se revalida al cambiarlo
+ * const validationRules = {
+ *   password: [(value) => !value ? "Password es requerido" : ""],
+ *   confirmPassword: [createMatchRule("password", "Las contraseñas no coinciden")]
+ * };
+ * 
+ * const form = useFormValidation(initialValues, validationRules);
+ * 
+ * // Una regla propia que lee otro campo necesita declarar la dependencia
+ * const form = useFormValidation(initialValues, {
+ *   confirmPassword: [(value, values) => !isMatch(values.password, value) ? "No coinciden" : ""]
+ * }, {
+ *   dependencies: { confirmPassword: ["password"] }
+ * });
+ * 
+ * @example
+ * // Validación asíncrona (el signal se aborta si el valor cambia antes de responder)
+ * const validationRules = {
+ *   email: [
+ *     (value) => !value ? "Email es requerido" : "",
+ *     async (value, values, { signal }) => {
+ *       const response = await fetch(`${API_ENDPOINTS.BASE_URL}/auth/check-email?email=${value}`, { signal });
+ *       const { exists } = await response.json();
+ *       return exists ? "Este email ya está registrado" : "";
+ *     }
+ *   ]
+ * };
+ * 
+ * // form.validating.email es true mientras la petición está en curso
+ * 
+ * @example
+ * // Mostrar errores hasta que el usuario sale del campo
+ * const form = useFormValidation(initialValues, validationRules, {
+ *   mode: VALIDATION_MODES.ON_TOUCHED
+ * });
+ * 
+ * @example
+ * // Campos dentro de arrays (ver useFieldArray)
+ * const validationRules = {
+ *   "team[].nickname": [(value) => !value ? "El apodo es requerido" : ""]
+ * };
+ * 
+ * form.handleChange("team[2].nickname")   // Actualiza values.team[2].nickname
+ * form.errors.team?.[2]?.nickname         // Error del apodo en la fila 2
+ * form.listErrors.team                    // Error de la lista (ej: array(...).min(2) del esquema)
+ * 
+ * @example
+ * // Valores anidados con la forma del body de API_ENDPOINTS.USERS.CREATE
+ * const initialValues = {
+ *   name: "",
+ *   address: { street: "", postalCode: "" }
+ * };
+ * 
+ * const validationRules = {
+ *   name: [createRequiredRule("El nombre es obligatorio")],
+ *   address: {
+ *     postalCode: [(value) => !isValidMexicanPostalCode(value) ? "Código postal inválido" : ""]
+ *   }
+ * };
+ * 
+ * const form = useFormValidation(initialValues, validationRules);
+ * 
+ * form.handleChange("address.postalCode")       // Actualiza values.address.postalCode
+ * form.getFieldError("address.postalCode")      // Equivale a form.errors.address?.postalCode
+ * form.setFieldValue("address.street", "Av. Juárez 10");
+ * 
+ * // Al enviar, values ya tiene la forma del payload
+ * fetch(API_ENDPOINTS.BASE_URL + API_ENDPOINTS.USERS.CREATE, {
+ *   method: "POST",
+ *   body: JSON.stringify(values)
+ * });
+ * 
+ * @example
+ * // Errores del servidor: un 422 con { errors: { email: "..." } } se asigna a form.errors
+ * const onSubmit = async (values) => {
+ *   const response = await fetch(API_ENDPOINTS.BASE_URL + API_ENDPOINTS.USERS.CREATE, {
+ *     method: "POST",
+ *     body: JSON.stringify(values)
+ *   });
+ *   if (!response.ok) throw await response.json();
+ * };
+ * 
+ * form.errors.email      // "Este email ya está registrado" (del servidor)
+ * form.submitError       // Mensaje general para mostrar sobre los botones
+ * form.submitCount       // Número de intentos de envío
+ * form.isSubmitSuccessful
+ * 
+ * @example
+ * // Borrador que sobrevive a recargas (se elimina al enviar con éxito o con reset)
+ * const form = useFormValidation(initialValues, validationRules, {
+ *   persist: { key: "signup", exclude: ["password", "confirmPassword", "card.number"] }
+ * });
+ * 
+ * form.isDraftRestored   // true si los valores iniciales vienen de un borrador
+ * 
+ * @example
+ * // Deshacer/rehacer entre campos (Ctrl+Z / Ctrl+Shift+Z o Ctrl+Y)
+ * const form = useFormValidation(initialValues, validationRules, { history: true });
+ * 
+ * <form onKeyDown={form.handleHistoryKeyDown}>
+ *   ...
+ *   <button type="button" onClick={form.undo} disabled={!form.canUndo}>Deshacer</button>
+ *   <button type="button" onClick={form.redo} disabled={!form.canRedo}>Rehacer</button>
+ * </form>
+ * 
+ * @example
+ * // Edición: enviar solo los campos modificados
+ * const form = useFormValidation(user, validationRules);
+ * 
+ * form.dirtyFields             // { email: true, address: { city: true } }
+ * form.getFieldDirty("email")  // true (vuelve a false si se escribe el valor original)
+ * 
+ * const onSubmit = async () => {
+ *   const url = API_ENDPOINTS.USERS.UPDATE.replace(":id", user.id);
+ *   await fetch(API_ENDPOINTS.BASE_URL + url, {
+ *     method: "PATCH",
+ *     body: JSON.stringify(form.getChangedValues()) // { email: "...", address: { city: "..." } }
+ *   });
+ * };
+ * 
+ * @example
+ * // Edición con carga asíncrona: el formulario se reinicia cuando llega el registro
+ * const [user, setUser] = useState({ name: "", email: "" });
+ * useEffect(() => { fetchUser(id).then(setUser); }, [id]);
+ * 
+ * const form = useFormValidation(user, validationRules, {
+ *   enableReinitialize: true,
+ *   keepTouchedValues: true // Lo que el usuario ya editó no se sobrescribe
+ * });
+ * 
+ * // O manualmente
+ * form.resetTo(savedUser); // Después de guardar, los valores guardados son la nueva base
+ * 
+ * @example
+ * // Campos condicionales: state solo existe para México y el RFC solo si se pide factura
+ * const form = useFormValidation(initialValues, validationRules, {
+ *   when: {
+ *     state: (values) => values.country === "mx",
+ *     rfc: (values) => values.wantsInvoice
+ *   },
+ *   dependencies: { state: ["country"], rfc: ["wantsInvoice"] },
+ *   omitHiddenValues: true // onSubmit no recibe state ni rfc cuando están ocultos
+ * });
+ * 
+ * {!form.isFieldHidden("rfc") && <FormInput name="rfc" ... />}
+ * 
+ * @example
+ * // Enfoque del primer error: cada input se registra con su ref
+ * const form = useFormValidation(initialValues, validationRules, {
+ *   errorFocus: { offset: 80, behavior: "smooth" } // 80px de header fijo
+ * });
+ * 
+ * <FormInput ref={form.registerFieldRef("email")} name="email" ... />
+ * 
+ * // Resumen de errores con enlaces a cada campo
+ * <FormErrorSummary form={form} labels={{ email: "Email" }} />
+ * 
+ * @example
+ * // Valores con tipo: el input muestra texto formateado y values guarda el valor real
+ * import { numberTransform, phoneTransform, trimTransform } from "@utils/fieldTransforms";
+ * 
+ * const form = useFormValidation(initialValues, validationRules, {
+ *   transforms: { age: numberTransform, phone: phoneTransform, name: trimTransform }
+ * });
+ * 
+ * <FormInput name="phone" value={form.getDisplayValue("phone")} onChange={form.handleChange("phone")} />
+ * form.values.phone // "5551234567" (el input muestra "(555) 123-4567")
+ * form.values.age   // 25 (number)
+ * 
+ * @example
+ * // Reglas que involucran varios campos
+ * const form = useFormValidation(initialValues, validationRules, {
+ *   validateForm: (values) => ({
+ *     form: !values.email && !values.phone ? "Agrega al menos un email o un teléfono" : "",
+ *     fields: {
+ *       endDate: values.endDate <= values.startDate ? "La fecha final debe ser posterior al inicio" : ""
+ *     }
+ *   })
+ * });
+ * 
+ * {form.formErrors.map((message) => <p key={message}>{message}</p>)} // Banner sobre los botones
+ * 
+ * @example
+ * // Ciclo de vida del envío: onSubmit recibe un signal que se aborta con abortSubmit()
+ * // o al desmontar el formulario (ej: al navegar a otra página)
+ * const form = useFormValidation(initialValues, validationRules, {
+ *   onSubmitStart: () => setBanner(null),
+ *   onSuccess: (user) => navigate(`/usuarios/${user.id}`),
+ *   onError: () => setBanner("No se pudo guardar"),
+ *   resetOnSuccess: true
+ * });
+ * 
+ * const onSubmit = async (values, { signal }) => {
+ *   const response = await fetch(API_ENDPOINTS.BASE_URL + API_ENDPOINTS.USERS.CREATE, {
+ *     method: "POST",
+ *     body: JSON.stringify(values),
+ *     signal
+ *   });
+ *   if (!response.ok) throw await response.json();
+ *   return response.json(); // Lo recibe onSuccess
+ * };
+ * 
+ * <button onClick={form.handleSubmit(onSubmit)}>Guardar</button> // Un doble clic envía una sola vez
+ * <button type="button" onClick={form.abortSubmit}>Cancelar</button>
  */
-export const useFormValidation = (initialValues, validationRules) => {
-  // Estados del formulario
-  const [values, setValues] = useState(initialValues);           // Valores actuales de los campos
-  const [errors, setErrors] = useState({});                      // Errores de validación por campo
-  const [touched, setTouched] = useState({});                    // Campos que han sido tocados/interactuados
-  const [isSubmitting, setIsSubmitting] = useState(false);       // Estado de envío del formulario
-  const [isDirty, setIsDirty] = useState(false);                 // Indica si el formulario ha sido modificado
+export const useFormValidation = (initialValues, validationRules, options = {}) => {
+  const {
+    dependencies,
+    mode = VALIDATION_MODES.ALL,
+    reValidateMode = VALIDATION_MODES.ON_CHANGE,
+    mapSubmitError = defaultMapSubmitError,
+    persist,
+    history,
+    enableReinitialize = false,
+    keepTouchedValues = false,
+    when,
+    omitHiddenValues = false,
+    errorFocus = {},
+    transforms,
+    validateForm,
+    onSubmitStart,
+    onSuccess,
+    onError,
+    onSettled,
+    resetOnSuccess = false,
+  } = options;
+
+  // Configuración del historial deshacer/rehacer (opcional)
+  const historyEnabled = !!history;
+  const historyLimit = history?.limit ?? 50;
+  const historyCoalesce = history?.coalesce ?? 1000;
+
+  // Configuración del enfoque del primer error al enviar (false lo desactiva)
+  const focusErrorEnabled = errorFocus !== false;
+  const focusOrder = errorFocus?.order ?? "dom";
+  const scrollOffset = errorFocus?.offset ?? 0;
+  const scrollBehavior = errorFocus?.behavior ?? "smooth";
+
+  // Configuración del borrador persistido (opcional)
+  const draftKey = persist?.key;
+  const draftExclude = persist?.exclude || DEFAULT_DRAFT_EXCLUDE;
+  const draftDebounce = persist?.debounce ?? 500;
+  const draftMaxAge = persist?.maxAge ?? DEFAULT_DRAFT_MAX_AGE;
+
+  // Estado del formulario en un store externo: quien llama al hook recibe el estado completo,
+  // pero los campos conectados con useField se suscriben solo a su parte del estado
+  const [store] = useState(() => {
+    const restoredDraft = draftKey ? readDraft(draftKey, draftMaxAge) : null;
+
+    return createFormStore({
+      restoredDraft,                // Borrador leído una sola vez al montar el formulario
+      baseline: initialValues,      // Valores de referencia para dirtyFields y reset
+      values: restoredDraft         // Valores actuales de los campos
+        ? mergeDraft(initialValues, restoredDraft, draftExclude)
+        : initialValues,
+      errors: {},                   // Errores de validación por campo
+      listErrors: {},               // Errores de las reglas de lista por ruta ({ team: "..." })
+      touched: {},                  // Campos que han sido tocados/interactuados
+      isSubmitting: false,          // Estado de envío del formulario
+      validating: {},               // Campos con validación asíncrona en curso
+      submitCount: 0,               // Número de intentos de envío
+      submitError: "",              // Error general del último envío
+      isSubmitSuccessful: false,    // El último envío terminó sin errores
+      formErrors: [],               // Errores generales de validateForm
+      historyStack: { past: [], future: [] }, // Historial: past (deshacer) y future (rehacer)
+    });
+  });
+
+  const {
+    restoredDraft,
+    baseline,
+    values,
+    errors,
+    listErrors,
+    touched,
+    isSubmitting,
+    validating,
+    submitCount,
+    submitError,
+    isSubmitSuccessful,
+    formErrors,
+    historyStack,
+  } = useSyncExternalStore(store.subscribe, store.getState, store.getState);
+
+  // Acceso estable al formulario para el contexto (ver FormContext.js): su identidad no cambia,
+  // así que los consumidores solo se re-renderizan por sus propias suscripciones
+  const formRef = useRef(null);
+  const [control] = useState(() => ({
+    subscribe: store.subscribe,
+    getState: store.getState,
+    getForm: () => formRef.current,
+  }));
+
+  // Campos que difieren de los valores de referencia (volver al valor original deja de marcarlos)
+  const dirtyFields = useMemo(
+    () => getDirtyFields(values, baseline) || {},
+    [values, baseline]
+  );
+  const isDirty = Object.keys(dirtyFields).length > 0;
+
+  // Indica si ya se intentó enviar el formulario
+  const isSubmitted = submitCount > 0;
+
+  // Control de validaciones asíncronas por campo
+  const validationIds = useRef({});      // Id de la última validación lanzada (descarta resultados obsoletos)
+  const abortControllers = useRef({});   // AbortController de la validación en curso
+  const latestValidations = useRef({});  // Resultado (o Promise) de la última validación de cada campo
+
+  // Último cambio registrado en el historial (para agrupar cambios seguidos del mismo campo)
+  const lastHistoryChange = useRef({ name: null, time: 0 });
+
+  /**
+   * Guarda en el historial los valores previos a un cambio
+   * Los cambios seguidos del mismo campo dentro de la ventana de coalesce forman un solo paso
+   * @param {Object} previousValues - Valores antes del cambio
+   * @param {string|null} name - Campo que cambia (null para cambios que no se agrupan)
+   */
+  const recordHistory = useCallback(
+    (previousValues, name = null) => {
+      if (!historyEnabled) return;
+
+      const now = Date.now();
+      const last = lastHistoryChange.current;
+      const isSameBurst =
+        name !== null && name === last.name && now - last.time < historyCoalesce;
+      lastHistoryChange.current = { name, time: now };
+      if (isSameBurst) return;
+
+      store.setHistoryStack((prev) => ({
+        past: [...prev.past, previousValues].slice(-historyLimit),
+        future: [],
+      }));
+    },
+    [store, historyEnabled, historyCoalesce, historyLimit]
+  );
+
+  // Versión del borrador: invalida los guardados pendientes del debounce al limpiarlo
+  const draftVersion = useRef(0);
+  const draftExcludeRef = useRef(draftExclude);
+  draftExcludeRef.current = draftExclude;
+
+  // Guardado con debounce (solo se crea si el formulario usa persist)
+  const saveDraft = useMemo(
+    () =>
+      draftKey
+        ? debounce((version, draftValues) => {
+            if (version !== draftVersion.current) return;
+            writeDraft(draftKey, draftValues, draftExcludeRef.current);
+          }, draftDebounce)
+        : null,
+    [draftKey, draftDebounce]
+  );
+
+  // Guarda el borrador cada vez que cambian los valores; si vuelven a los iniciales lo elimina
+  useEffect(() => {
+    if (!saveDraft) return;
+    draftVersion.current += 1;
+    if (isDirty) saveDraft(draftVersion.current, values);
+    else removeDraft(draftKey);
+  }, [saveDraft, draftKey, values, isDirty]);
+
+  /**
+   * Elimina el borrador guardado y cancela los guardados pendientes
+   */
+  const clearDraft = useCallback(() => {
+    if (!draftKey) return;
+    draftVersion.current += 1;
+    removeDraft(draftKey);
+  }, [draftKey]);
+
+  // Reglas planas por ruta (acepta reglas anidadas)
+  const rules = useMemo(() => flattenRules(validationRules), [validationRules]);
+
+  // Mapa inverso de dependencias: { campoOrigen: [camposQueDependenDeÉl] }
+  // Junta las declaradas en "dependencies" con los campos origen que registran las reglas
+  // (dependsOn de createMatchRule o equals()); las reglas por fila ("team[].campo") no se incluyen
+  const dependents = useMemo(() => {
+    const map = {};
+    const addDependency = (field, source) => {
+      if (!map[source]) map[source] = [];
+      if (!map[source].includes(field)) map[source].push(field);
+    };
+
+    Object.entries(dependencies || {}).forEach(([field, sources]) => {
+      sources.forEach((source) => addDependency(field, source));
+    });
+    Object.entries(rules).forEach(([field, fieldRules]) => {
+      if (field.includes("[]")) return;
+      fieldRules.forEach((rule) => {
+        (rule.dependsOn || []).forEach((source) => addDependency(field, source));
+      });
+    });
+    return map;
+  }, [dependencies, rules]);
+
+  // Opciones que suelen declararse en línea: los callbacks las leen de este ref para no
+  // recrearse (y no recrear los handlers de cada campo) en cada render
+  const optionsRef = useRef(null);
+  optionsRef.current = {
+    rules,
+    dependents,
+    mode,
+    reValidateMode,
+    mapSubmitError,
+    when,
+    omitHiddenValues,
+    transforms,
+    validateForm,
+    onSubmitStart,
+    onSuccess,
+    onError,
+    onSettled,
+    resetOnSuccess,
+  };
+
+  /**
+   * Obtiene el modo de validación activo
+   * Después del primer envío la validación sigue reValidateMode en lugar de mode
+   * @returns {string} Modo de VALIDATION_MODES
+   */
+  const getActiveMode = useCallback(
+    () =>
+      store.getState().submitCount > 0
+        ? optionsRef.current.reValidateMode
+        : optionsRef.current.mode,
+    [store]
+  );
+
+  // Campos ocultos por su condición "when" (clave estable para no recalcular en cada render)
+  const hiddenKey = getHiddenFields(when, values).join("|");
+  const hiddenFields = useMemo(() => (hiddenKey ? hiddenKey.split("|") : []), [hiddenKey]);
+
+  /**
+   * Indica si un campo está oculto por una condición "when" (no se valida ni se debe renderizar)
+   * @param {string} name - Ruta del campo (ej: "invoice.rfc")
+   * @param {Object} [allValues=values] - Valores con los que evaluar la condición
+   * @returns {boolean} true si el campo está oculto
+   */
+  const isFieldHidden = useCallback(
+    (name, allValues = store.getState().values) =>
+      isHiddenField(optionsRef.current.when, name, allValues),
+    [store]
+  );
 
   /**
    * Valida un campo específico usando sus reglas de validación
    * @param {string} name - Nombre del campo a validar
    * @param {any} value - Valor del campo a validar
-   * @returns {string} Mensaje de error o string vacío si es válido
+   * @param {Object} [allValues=values] - Valores completos del formulario (para reglas entre campos)
+   * @param {AbortSignal} [signal] - Señal para cancelar reglas asíncronas
+   * @returns {string|Promise<string>} Mensaje de error o string vacío si es válido
+   *                                   (Promise si alguna regla es asíncrona)
    */
   const validateField = useCallback(
-    (name, value) => {
-      const rules = validationRules[name];
-      if (!rules) return "";
+    (name, value, allValues = store.getState().values, signal) => {
+      const fieldRules = getPathEntry(optionsRef.current.rules, name);
+      if (!fieldRules || isHiddenField(optionsRef.current.when, name, allValues)) return "";
 
-      // Ejecuta cada regla hasta encontrar un error
-      for (const rule of rules) {
-        const error = rule(value);
-        if (error) return error;
+      return runRules(fieldRules, value, allValues, { signal });
+    },
+    [store]
+  );
+
+  /**
+   * Guarda el resultado de la validación de un campo ("" si es válido)
+   * El de una lista con reglas por fila va a listErrors para no pisar los errores de sus filas
+   * @param {string} name - Ruta del campo
+   * @param {string} error - Mensaje de error
+   */
+  const setFieldResult = useCallback(
+    (name, error) => {
+      if (isListPath(optionsRef.current.rules, name)) {
+        store.setListErrors((prev) => (prev[name] === error ? prev : { ...prev, [name]: error }));
+      } else {
+        store.setErrors((prev) => setByPath(prev, name, error));
+      }
+    },
+    [store]
+  );
+
+  /**
+   * Ejecuta la validación de un campo y guarda el resultado en errors (o en listErrors)
+   * Las validaciones asíncronas previas del mismo campo se abortan y sus resultados se descartan:
+   * su Promise se resuelve con el resultado de la validación que las reemplazó ("" si se cancelaron)
+   * @param {string} name - Nombre del campo
+   * @param {any} value - Valor del campo
+   * @param {Object} allValues - Valores completos del formulario
+   * @returns {string|Promise<string>} Mensaje de error resultante
+   */
+  const runFieldValidation = useCallback(
+    (name, value, allValues) => {
+      const id = (validationIds.current[name] || 0) + 1;
+      validationIds.current[name] = id;
+      delete latestValidations.current[name];
+
+      abortControllers.current[name]?.abort();
+      const controller = new AbortController();
+      abortControllers.current[name] = controller;
+
+      const result = validateField(name, value, allValues, controller.signal);
+
+      if (!isPromise(result)) {
+        latestValidations.current[name] = result;
+        setFieldResult(name, result);
+        store.setValidating((prev) => (prev[name] ? { ...prev, [name]: false } : prev));
+        return result;
       }
-      return "";
+
+      store.setValidating((prev) => ({ ...prev, [name]: true }));
+
+      const pending = result
+        .catch((error) => {
+          if (error?.name !== "AbortError") {
+            console.error("Error en validación asíncrona:", error);
+          }
+          return ASYNC_RULE_ERROR;
+        })
+        .then((error) => {
+          // Si el campo se volvió a validar mientras tanto, el resultado obsoleto se descarta
+          // y quien espera esta Promise (ej: handleSubmit) recibe el de la validación nueva
+          if (validationIds.current[name] !== id) return latestValidations.current[name] ?? "";
+
+          setFieldResult(name, error);
+          store.setValidating((prev) => ({ ...prev, [name]: false }));
+          return error;
+        });
+
+      latestValidations.current[name] = pending;
+      return pending;
     },
-    [validationRules]
+    [store, validateField, setFieldResult]
+  );
+
+  /**
+   * Cancela las validaciones asíncronas en curso
+   * @param {string} [path] - Solo cancela este campo y los campos dentro de él (todos si se omite)
+   */
+  const cancelValidations = useCallback(
+    (path = "") => {
+      const names = Object.keys(abortControllers.current).filter(
+        (name) => !path || isPathWithin(name, path)
+      );
+
+      if (!names.length) return;
+
+      names.forEach((name) => {
+        validationIds.current[name] = (validationIds.current[name] || 0) + 1;
+        abortControllers.current[name].abort();
+        delete abortControllers.current[name];
+        delete latestValidations.current[name];
+      });
+
+      store.setValidating((prev) => {
+        const next = { ...prev };
+        names.forEach((name) => delete next[name]);
+        return next;
+      });
+    },
+    [store]
+  );
+
+  // Al ocultarse un campo se descartan su error, su estado touched y sus validaciones en curso
+  useEffect(() => {
+    if (!hiddenFields.length) return;
+    hiddenFields.forEach((name) => cancelValidations(name));
+
+    const clear = (state) => hiddenFields.reduce(unsetByPath, state);
+    store.setErrors(clear);
+    store.setListErrors((prev) => omitPaths(prev, hiddenFields));
+    store.setTouched(clear);
+  }, [store, hiddenFields, cancelValidations]);
+
+  /**
+   * Revalida los campos que dependen del campo modificado
+   * Solo revalida los dependientes que ya fueron tocados (para no mostrar errores prematuros)
+   * y solo si el modo activo valida al cambiar (con "onBlur" u "onSubmit" esperan a su evento)
+   * @param {string} name - Nombre del campo que cambió
+   * @param {Object} nextValues - Valores del formulario después del cambio
+   */
+  const validateDependents = useCallback(
+    (name, nextValues) => {
+      const mode = getActiveMode();
+      const { touched } = store.getState();
+
+      (optionsRef.current.dependents[name] || []).forEach((field) => {
+        const isTouched = !!getByPath(touched, field);
+        if (!isTouched || !shouldValidateOn(VALIDATION_MODES.ON_CHANGE, mode, isTouched)) return;
+        runFieldValidation(field, getByPath(nextValues, field), nextValues);
+      });
+    },
+    [store, getActiveMode, runFieldValidation]
   );
 
   /**
@@ -78,27 +1141,40 @@ export const useFormValidation = (initialValues, validationRules) => {
         "target" in eventOrValue
       ) {
         const { target } = eventOrValue;
-        // Maneja diferentes tipos de inputs
+        // Maneja diferentes tipos de inputs (los archivos se guardan como array de File)
         value =
           target.type === "checkbox"
             ? target.checked
             : target.type === "file"
-            ? target.files
+            ? Array.from(target.files)
             : target.value;
       } else {
         value = eventOrValue;
       }
 
-      // Actualiza el valor, marca como touched y dirty
-      setValues((prev) => ({ ...prev, [name]: value }));
-      setTouched((prev) => ({ ...prev, [name]: true }));
-      setIsDirty(true);
+      const { values, touched } = store.getState();
+
+      // Convierte lo escrito al valor guardado (ej: "25" -> 25, "(555) 123-4567" -> "5551234567")
+      const parse = getPathEntry(optionsRef.current.transforms, name)?.parse;
+      if (parse) value = parse(value, values);
 
-      // Valida el campo inmediatamente
-      const error = validateField(name, value);
-      setErrors((prev) => ({ ...prev, [name]: error }));
+      const nextValues = setByPath(values, name, value);
+
+      // Actualiza el valor (dirtyFields se recalcula contra los valores de referencia)
+      recordHistory(values, name);
+      store.setValues(nextValues);
+
+      // Valida el campo (y lo marca como touched) solo si el modo activo lo indica
+      if (shouldValidateOn(VALIDATION_MODES.ON_CHANGE, getActiveMode(), getByPath(touched, name))) {
+        store.setTouched((prev) => setByPath(prev, name, true));
+        runFieldValidation(name, value, nextValues);
+      } else {
+        // El valor cambió sin revalidarse: la validación en curso es de un valor viejo
+        cancelValidations(name);
+      }
+      validateDependents(name, nextValues);
     },
-    [validateField]
+    [store, getActiveMode, recordHistory, runFieldValidation, cancelValidations, validateDependents]
   );
 
   /**
@@ -108,139 +1184,800 @@ export const useFormValidation = (initialValues, validationRules) => {
    */
   const handleBlur = useCallback(
     (name) => () => {
-      setTouched((prev) => ({ ...prev, [name]: true }));
-      const error = validateField(name, values[name]);
-      setErrors((prev) => ({ ...prev, [name]: error }));
+      const { values, touched } = store.getState();
+
+      // Normaliza el valor al salir del campo (ej: quitar espacios de los extremos)
+      const normalize = getPathEntry(optionsRef.current.transforms, name)?.normalize;
+      const current = getByPath(values, name);
+      const value = normalize ? normalize(current) : current;
+      const nextValues = value === current ? values : setByPath(values, name, value);
+      store.setValues(nextValues);
+
+      store.setTouched((prev) => setByPath(prev, name, true));
+      if (shouldValidateOn(VALIDATION_MODES.ON_BLUR, getActiveMode(), getByPath(touched, name))) {
+        runFieldValidation(name, value, nextValues);
+      }
     },
-    [validateField, values]
+    [store, getActiveMode, runFieldValidation]
   );
 
   /**
    * Obtiene el estado visual de un campo para estilos CSS
+   * Un campo tocado que aún no se validó (ej: tras un blur con mode "onSubmit") no tiene estado
    * @param {string} name - Nombre del campo
-   * @returns {string} Estado del campo: "", "error", o "success"
+   * @returns {string} Estado del campo: "", "validating", "error", o "success"
    */
   const getFieldState = useCallback(
     (name) => {
-      if (!touched[name]) return "";
-      return errors[name] ? "error" : values[name] ? "success" : "";
+      const { values, errors, touched, validating } = store.getState();
+
+      if (isHiddenField(optionsRef.current.when, name, values)) return "";
+      if (validating[name]) return "validating";
+      if (!getByPath(touched, name)) return "";
+
+      // Cada validación guarda su resultado en errors ("" si es válido): sin entrada, no se validó
+      const error = getByPath(errors, name);
+      if (error === undefined) return "";
+      if (error) return "error";
+      return getByPath(values, name) ? "success" : "";
     },
-    [touched, errors, values]
+    [store]
   );
 
+  // Elementos registrados por campo y sus callbacks ref (estables para no re-registrar en cada render)
+  const fieldElements = useRef({});
+  const fieldRefCallbacks = useRef({});
+
   /**
-   * Valida todos los campos del formulario
-   * @returns {boolean} true si todos los campos son válidos, false en caso contrario
+   * Registra el elemento DOM de un campo para poder enfocarlo
+   * @param {string} name - Ruta del campo (ej: "address.postalCode")
+   * @returns {Function} Callback ref para el input (ref={form.registerFieldRef("email")})
+   */
+  const registerFieldRef = useCallback((name) => {
+    if (!fieldRefCallbacks.current[name]) {
+      fieldRefCallbacks.current[name] = (element) => {
+        if (element) fieldElements.current[name] = element;
+        else delete fieldElements.current[name];
+      };
+    }
+    return fieldRefCallbacks.current[name];
+  }, []);
+
+  /**
+   * Obtiene el id del elemento registrado de un campo (ej: para enlazarlo con href="#id")
+   * @param {string} name - Ruta del campo
+   * @returns {string|undefined} Id del elemento, o undefined si no está registrado o no tiene id
+   */
+  const getFieldElementId = useCallback(
+    (name) => fieldElements.current[name]?.id || undefined,
+    []
+  );
+
+  /**
+   * Hace scroll hasta un campo registrado (respetando el offset) y lo enfoca
+   * @param {string} name - Ruta del campo
+   * @returns {boolean} true si el campo está registrado y se enfocó
+   */
+  const focusField = useCallback(
+    (name) => {
+      const element = fieldElements.current[name];
+      if (!element) return false;
+
+      const top = element.getBoundingClientRect().top + window.scrollY - scrollOffset;
+      window.scrollTo({ top, behavior: scrollBehavior });
+      element.focus({ preventScroll: true });
+      return true;
+    },
+    [scrollOffset, scrollBehavior]
+  );
+
+  /**
+   * Ordena rutas con error según el orden en que se declararon las reglas
+   * Los errores sin regla (ej: del servidor) van al final
+   * @param {string[]} names - Rutas con error
+   * @returns {string[]} Rutas ordenadas
+   */
+  const sortByDeclaredOrder = useCallback(
+    (names) => {
+      const { values } = store.getState();
+      const declared = Object.keys(optionsRef.current.rules)
+        .flatMap((pattern) => expandRulePath(pattern, values))
+        .filter((name) => names.includes(name));
+      return [...declared, ...names.filter((name) => !declared.includes(name))];
+    },
+    [store]
+  );
+
+  /**
+   * Enfoca el primer campo registrado con error (en orden del DOM o de declaración)
+   * Solo considera los campos registrados en este formulario
+   * @param {Object} [fieldErrors=errors] - Errores a considerar (forma anidada)
+   * @returns {boolean} true si se enfocó algún campo
+   */
+  const focusFirstError = useCallback(
+    (fieldErrors = store.getState().errors) => {
+      const elements = fieldElements.current;
+      const names = sortByDeclaredOrder(getLeafPaths(fieldErrors)).filter(
+        (name) => elements[name]
+      );
+      if (!names.length) return false;
+
+      if (focusOrder === "dom") {
+        names.sort((a, b) =>
+          elements[a].compareDocumentPosition(elements[b]) & Node.DOCUMENT_POSITION_FOLLOWING
+            ? -1
+            : 1
+        );
+      }
+      return focusField(names[0]);
+    },
+    [store, focusOrder, sortByDeclaredOrder, focusField]
+  );
+
+  // Control de la validación del formulario completo (validateForm se lee de optionsRef)
+  const formValidationId = useRef(0);       // Descarta resultados de validaciones de formulario obsoletas
+  const formFieldErrors = useRef([]);       // Pares [ruta, mensaje] asignados por validateForm
+
+  /**
+   * Ejecuta validateForm y aplica sus errores generales y de campo
+   * Los errores de campo asignados en la validación anterior se retiran si ya no aplican
+   * @param {Object} allValues - Valores completos del formulario
+   * @returns {Promise<Object>} { form: string[], fields: Array<[string, string]> }
+   */
+  const runFormValidation = useCallback(
+    async (allValues) => {
+      const { validateForm: validate } = optionsRef.current;
+      if (!validate) return normalizeFormErrors(null);
+
+      const id = formValidationId.current + 1;
+      formValidationId.current = id;
+
+      let result;
+      try {
+        result = normalizeFormErrors(await validate(allValues));
+      } catch (error) {
+        console.error("Error en validación del formulario:", error);
+        result = normalizeFormErrors(MESSAGES.ERROR.GENERIC);
+      }
+      if (formValidationId.current !== id) return result;
+
+      const previous = formFieldErrors.current;
+      formFieldErrors.current = result.fields;
+
+      store.setErrors((prev) => {
+        const cleared = previous.reduce(
+          (acc, [name, message]) => (getByPath(acc, name) === message ? unsetByPath(acc, name) : acc),
+          prev
+        );
+        return result.fields.reduce((acc, [name, message]) => setByPath(acc, name, message), cleared);
+      });
+      store.setTouched((prev) => result.fields.reduce((acc, [name]) => setByPath(acc, name, true), prev));
+      store.setFormErrors((prev) => (isEqual(prev, result.form) ? prev : result.form));
+      return result;
+    },
+    [store]
+  );
+
+  // Después del primer envío las reglas del formulario se revalidan con cada cambio
+  useEffect(() => {
+    if (isSubmitted) runFormValidation(values);
+  }, [values, isSubmitted, runFormValidation]);
+
+  /**
+   * Cancela la validación de formulario en curso y limpia sus errores
+   */
+  const clearFormErrors = useCallback(() => {
+    formValidationId.current += 1;
+    formFieldErrors.current = [];
+    store.setFormErrors([]);
+  }, [store]);
+
+  /**
+   * Valida los campos del formulario (todos o solo los indicados) y marca como tocados
+   * Espera a que terminen las reglas asíncronas antes de resolver
+   * @param {string[]} [fields] - Rutas de campos o ramas a validar (todos si se omite)
+   * @returns {Promise<Object>} { isValid, errors, listErrors, formErrors } con los errores
+   *                            encontrados (errors en forma anidada, listErrors plano por ruta)
+   */
+  const runValidation = useCallback(
+    async (fields) => {
+      const { values } = store.getState();
+
+      // Rutas concretas de cada campo visible con reglas (expande los campos de arrays)
+      const names = Object.keys(optionsRef.current.rules)
+        .flatMap((pattern) => expandRulePath(pattern, values))
+        .filter((name) => !isHiddenField(optionsRef.current.when, name, values))
+        .filter((name) => !fields || fields.some((field) => isPathWithin(name, field)));
+
+      // Las listas no se marcan como tocadas: touched.team guarda el estado de sus filas
+      const fieldNames = names.filter((name) => !isListPath(optionsRef.current.rules, name));
+      const markTouched = (state) => fieldNames.reduce((acc, name) => setByPath(acc, name, true), state);
+
+      if (fields) {
+        // Validación parcial: conserva el estado del resto del formulario
+        store.setTouched(markTouched);
+        store.setErrors((prev) => fieldNames.reduce(unsetByPath, prev));
+        store.setListErrors((prev) => omitPaths(prev, fields));
+      } else {
+        store.setTouched(markTouched({}));
+        store.setErrors({});
+        store.setListErrors({});
+      }
+
+      // Valida cada campo que tiene reglas definidas
+      const results = await Promise.all(
+        names.map((name) => runFieldValidation(name, getByPath(values, name), values))
+      );
+      const fieldErrors = names.reduce(
+        (acc, name, index) =>
+          results[index] && fieldNames.includes(name) ? setByPath(acc, name, results[index]) : acc,
+        {}
+      );
+      const listErrors = names.reduce(
+        (acc, name, index) =>
+          results[index] && !fieldNames.includes(name) ? { ...acc, [name]: results[index] } : acc,
+        {}
+      );
+
+      // Las reglas del formulario completo solo aplican al validar todos los campos
+      const formResult = fields
+        ? normalizeFormErrors(null)
+        : await runFormValidation(values);
+
+      return {
+        isValid:
+          results.every((error) => !error) &&
+          !formResult.form.length &&
+          !formResult.fields.length,
+        errors: formResult.fields.reduce(
+          (acc, [name, message]) => setByPath(acc, name, message),
+          fieldErrors
+        ),
+        listErrors,
+        formErrors: formResult.form,
+      };
+    },
+    [store, runFieldValidation, runFormValidation]
+  );
+
+  /**
+   * Valida todos los campos del formulario, o solo los indicados (ej: los de un paso)
+   * @param {string[]} [fields] - Rutas de campos o ramas a validar (ej: ["email", "address"])
+   * @returns {Promise<boolean>} true si los campos validados son válidos, false en caso contrario
+   */
+  const validateAll = useCallback(
+    async (fields) => (await runValidation(fields)).isValid,
+    [runValidation]
+  );
+
+  /**
+   * Resetea el formulario a su estado inicial
    */
-  const validateAll = useCallback(() => {
-    const newErrors = {};
-    const newTouched = {};
+  const reset = useCallback(() => {
+    const { values, baseline } = store.getState();
 
-    // Valida cada campo que tiene reglas definidas
-    Object.keys(validationRules).forEach((name) => {
-      newTouched[name] = true;
-      const error = validateField(name, values[name]);
-      if (error) newErrors[name] = error;
+    cancelValidations();
+    clearFormErrors();
+    clearDraft();
+    if (!isEqual(values, baseline)) recordHistory(values);
+    store.setState({
+      restoredDraft: null,
+      values: baseline,
+      errors: {},
+      listErrors: {},
+      touched: {},
+      isSubmitting: false,
+      submitCount: 0,
+      submitError: "",
+      isSubmitSuccessful: false,
     });
+  }, [store, cancelValidations, clearFormErrors, clearDraft, recordHistory]);
 
-    setTouched(newTouched);
-    setErrors(newErrors);
-    return Object.keys(newErrors).length === 0;
-  }, [validationRules, validateField, values]);
+  // Controlador del envío en curso (null si no hay ninguno): bloquea envíos concurrentes
+  const submitController = useRef(null);
+
+  /**
+   * Cancela el envío en curso: aborta el signal que recibió onSubmit
+   */
+  const abortSubmit = useCallback(() => {
+    submitController.current?.abort();
+  }, []);
+
+  // Al desmontar el formulario (ej: al navegar a otra página) se cancela el envío en curso
+  useEffect(() => abortSubmit, [abortSubmit]);
 
   /**
    * Maneja el envío del formulario con validación
-   * @param {Function} onSubmit - Función callback que se ejecuta si el formulario es válido
+   * Mientras hay un envío en curso los demás se ignoran (ej: doble clic antes de re-renderizar)
+   * @param {Function} onSubmit - Función (values, { signal }) que se ejecuta si el formulario es válido
+   *                              Su resultado se pasa a onSuccess y onSettled
+   * @param {Function} [onInvalid] - Función (errors, listErrors) que se ejecuta si la validación falla
    * @returns {Function} Función que maneja el evento submit
    */
   const handleSubmit = useCallback(
-    (onSubmit) => async (e) => {
+    (onSubmit, onInvalid) => async (e) => {
       if (e) e.preventDefault();
-      setIsSubmitting(true);
+      if (submitController.current) return;
+
+      const controller = new AbortController();
+      submitController.current = controller;
+      store.setState((prev) => ({
+        isSubmitting: true,
+        submitCount: prev.submitCount + 1,
+        submitError: "",
+        isSubmitSuccessful: false,
+      }));
 
-      const isFormValid = validateAll();
+      try {
+        // Espera también las validaciones asíncronas pendientes
+        const {
+          isValid: isFormValid,
+          errors: validationErrors,
+          listErrors: validationListErrors,
+        } = await runValidation();
 
-      if (isFormValid) {
+        if (!isFormValid) {
+          runCallback(onInvalid, validationErrors, validationListErrors);
+
+          // Scroll al primer campo con error y enfocarlo (después de renderizar los errores)
+          if (focusErrorEnabled) setTimeout(() => focusFirstError(validationErrors), 100);
+          return;
+        }
+        if (controller.signal.aborted) return;
+
+        // Con omitHiddenValues los campos ocultos no se envían
+        const { values } = store.getState();
+        const submitValues = optionsRef.current.omitHiddenValues
+          ? getHiddenFields(optionsRef.current.when, values).reduce(unsetByPath, values)
+          : values;
+
+        let result;
+        let submitFailure = null;
         try {
-          await onSubmit(values);
+          optionsRef.current.onSubmitStart?.(submitValues);
+          result = await onSubmit(submitValues, { signal: controller.signal });
         } catch (error) {
-          console.error("Error en el envío:", error);
+          submitFailure = error ?? new Error(MESSAGES.ERROR.GENERIC);
         }
-      } else {
-        // Scroll al primer campo con error y enfocarlo
-        setTimeout(() => {
-          const firstErrorField = document.querySelector(".border-red-500");
-          if (firstErrorField) {
-            firstErrorField.scrollIntoView({
-              behavior: "smooth",
-              block: "center",
-            });
-            firstErrorField.focus();
+
+        if (!submitFailure) {
+          clearDraft();
+          if (optionsRef.current.resetOnSuccess) reset();
+          store.setIsSubmitSuccessful(true);
+          runCallback(optionsRef.current.onSuccess, result, submitValues);
+        } else if (!controller.signal.aborted) {
+          console.error("Error en el envío:", submitFailure);
+
+          // Asigna los errores del servidor a sus campos y guarda el mensaje general
+          const { fields, message } = optionsRef.current.mapSubmitError(submitFailure);
+          const fieldErrors = flattenSubmitErrors(fields);
+          fieldErrors.forEach(([name, fieldError]) => {
+            store.setErrors((prev) => setByPath(prev, name, fieldError));
+            store.setTouched((prev) => setByPath(prev, name, true));
+          });
+          store.setSubmitError(message);
+
+          // Enfoca el primer campo rechazado por el servidor
+          if (focusErrorEnabled) {
+            const serverErrors = fieldErrors.reduce(
+              (acc, [name, fieldError]) => setByPath(acc, name, fieldError),
+              {}
+            );
+            setTimeout(() => focusFirstError(serverErrors), 100);
           }
-        }, 100);
+          runCallback(optionsRef.current.onError, submitFailure, submitValues);
+        }
+        runCallback(optionsRef.current.onSettled, result, submitFailure, submitValues);
+      } finally {
+        submitController.current = null;
+        store.setIsSubmitting(false);
       }
-      setIsSubmitting(false);
     },
-    [validateAll, values]
+    [store, runValidation, clearDraft, reset, focusErrorEnabled, focusFirstError]
   );
 
   /**
-   * Resetea el formulario a su estado inicial
+   * Reemplaza los valores de referencia del formulario (ej: al cargar un registro para editar)
+   * Los nuevos valores pasan a ser la base de dirtyFields y de reset(); el historial se limpia
+   * @param {Object} newValues - Nuevos valores iniciales
+   * @param {Object} [resetOptions] - Opciones
+   * @param {boolean} [resetOptions.keepTouchedValues=false] - Conserva los valores y errores
+   *                  de los campos que el usuario ya tocó
    */
-  const reset = useCallback(() => {
-    setValues(initialValues);
-    setErrors({});
-    setTouched({});
-    setIsSubmitting(false);
-    setIsDirty(false);
-  }, [initialValues]);
+  const resetTo = useCallback(
+    (newValues, { keepTouchedValues: keepTouched = false } = {}) => {
+      const { values, errors, touched } = store.getState();
+      const reinitialized = {
+        restoredDraft: null,
+        baseline: newValues,
+        historyStack: { past: [], future: [] },
+      };
+
+      cancelValidations();
+      lastHistoryChange.current = { name: null, time: 0 };
+
+      if (!keepTouched) {
+        clearFormErrors();
+        store.setState({
+          ...reinitialized,
+          values: newValues,
+          errors: {},
+          listErrors: {},
+          touched: {},
+          submitCount: 0,
+          submitError: "",
+          isSubmitSuccessful: false,
+        });
+        return;
+      }
+
+      // Los campos tocados conservan la edición en curso y su error
+      const touchedPaths = getLeafPaths(touched);
+      store.setState({
+        ...reinitialized,
+        values: touchedPaths.reduce(
+          (acc, path) => setByPath(acc, path, getByPath(values, path)),
+          newValues
+        ),
+        errors: touchedPaths.reduce((acc, path) => {
+          const error = getByPath(errors, path);
+          return error !== undefined ? setByPath(acc, path, error) : acc;
+        }, {}),
+      });
+    },
+    [store, cancelValidations, clearFormErrors]
+  );
+
+  // Con enableReinitialize, un cambio en el contenido de initialValues reinicia el formulario
+  const lastInitialValues = useRef(initialValues);
+  useEffect(() => {
+    if (!enableReinitialize || isEqual(lastInitialValues.current, initialValues)) return;
+    lastInitialValues.current = initialValues;
+    resetTo(initialValues, { keepTouchedValues });
+  }, [enableReinitialize, initialValues, keepTouchedValues, resetTo]);
+
+  /**
+   * Obtiene el valor de un campo por su ruta
+   * @param {string} name - Ruta del campo (ej: "address.postalCode")
+   * @returns {any} Valor del campo
+   */
+  const getFieldValue = useCallback(
+    (name) => getByPath(store.getState().values, name),
+    [store]
+  );
+
+  /**
+   * Obtiene el valor de un campo listo para mostrarse en su input (aplica su format)
+   * @param {string} name - Ruta del campo (ej: "phone")
+   * @returns {any} Valor formateado (ej: "(555) 123-4567" para "5551234567")
+   */
+  const getDisplayValue = useCallback(
+    (name) => {
+      const { values } = store.getState();
+      const value = getByPath(values, name);
+      const format = getPathEntry(optionsRef.current.transforms, name)?.format;
+      return format ? format(value, values) : value;
+    },
+    [store]
+  );
+
+  /**
+   * Obtiene el error de un campo por su ruta
+   * @param {string} name - Ruta del campo (ej: "address.postalCode")
+   * @returns {string|undefined} Mensaje de error del campo
+   */
+  const getFieldError = useCallback(
+    (name) => getByPath(store.getState().errors, name),
+    [store]
+  );
+
+  /**
+   * Indica si un campo ya fue tocado
+   * @param {string} name - Ruta del campo (ej: "address.postalCode")
+   * @returns {boolean} true si el campo fue tocado
+   */
+  const getFieldTouched = useCallback(
+    (name) => !!getByPath(store.getState().touched, name),
+    [store]
+  );
+
+  /**
+   * Obtiene todas las props que necesita FormInput (o un input nativo) para un campo
+   * @param {string} name - Ruta del campo (ej: "address.postalCode")
+   * @param {Object} [fieldOptions] - Opciones del campo
+   * @param {string} [fieldOptions.type] - Tipo del input; con "checkbox" el valor va en checked
+   * @returns {Object} { name, value | checked, onChange, onBlur, error, state, ref, aria-invalid }
+   * 
+   * @example
+   * <FormInput {...form.getFieldProps("email")} label="Email" type="email" />
+   * <FormInput {...form.getFieldProps("terms", { type: "checkbox" })} placeholder="Acepto" />
+   */
+  const getFieldProps = useCallback(
+    (name, { type } = {}) => {
+      const { values, errors } = store.getState();
+      const error = getByPath(errors, name);
+      const valueProps =
+        type === "checkbox"
+          ? { value: !!getByPath(values, name), checked: !!getByPath(values, name) }
+          : { value: getDisplayValue(name) ?? "" };
+
+      return {
+        name,
+        ...(type && { type }),
+        ...valueProps,
+        onChange: handleChange(name),
+        onBlur: handleBlur(name),
+        error,
+        state: getFieldState(name),
+        ref: registerFieldRef(name),
+        "aria-invalid": !!error,
+      };
+    },
+    [store, getDisplayValue, handleChange, handleBlur, getFieldState, registerFieldRef]
+  );
+
+  /**
+   * Indica si un campo (o una rama de campos) difiere de su valor inicial
+   * @param {string} name - Ruta del campo (ej: "address.postalCode")
+   * @returns {boolean} true si el campo fue modificado
+   */
+  const getFieldDirty = useCallback(
+    (name) => {
+      const { values, baseline } = store.getState();
+      return !isEqual(getByPath(values, name), getByPath(baseline, name));
+    },
+    [store]
+  );
+
+  /**
+   * Obtiene solo los valores modificados respecto a los valores de referencia (payload tipo PATCH)
+   * @returns {Object} Valores parciales con la misma forma que values
+   */
+  const getChangedValues = useCallback(() => {
+    const { values, baseline } = store.getState();
+    return pickChangedValues(values, getDirtyFields(values, baseline) || {});
+  }, [store]);
 
   /**
    * Establece el valor de un campo específico programáticamente
-   * @param {string} name - Nombre del campo
+   * @param {string} name - Nombre o ruta del campo (ej: "address.postalCode")
    * @param {any} value - Nuevo valor del campo
    */
-  const setFieldValue = useCallback((name, value) => {
-    setValues((prev) => ({ ...prev, [name]: value }));
-    setIsDirty(true);
-  }, []);
+  const setFieldValue = useCallback(
+    (name, value) => {
+      recordHistory(store.getState().values);
+      store.setValues((prev) => setByPath(prev, name, value));
+      // No revalida: descarta la validación en curso del valor anterior
+      cancelValidations(name);
+    },
+    [store, recordHistory, cancelValidations]
+  );
 
   /**
    * Establece un error para un campo específico programáticamente
-   * @param {string} name - Nombre del campo
+   * @param {string} name - Nombre o ruta del campo (ej: "address.postalCode")
    * @param {string} error - Mensaje de error
    */
-  const setFieldError = useCallback((name, error) => {
-    setErrors((prev) => ({ ...prev, [name]: error }));
-    setTouched((prev) => ({ ...prev, [name]: true }));
-  }, []);
+  const setFieldError = useCallback(
+    (name, error) => {
+      store.setErrors((prev) => setByPath(prev, name, error));
+      store.setTouched((prev) => setByPath(prev, name, true));
+    },
+    [store]
+  );
+
+  /**
+   * Marca un campo como tocado (o no tocado) programáticamente
+   * @param {string} name - Nombre o ruta del campo (ej: "address.postalCode")
+   * @param {boolean} [isTouched=true] - Nuevo estado touched
+   */
+  const setFieldTouched = useCallback(
+    (name, isTouched = true) => {
+      store.setTouched((prev) => setByPath(prev, name, isTouched));
+    },
+    [store]
+  );
+
+  /**
+   * Aplica una operación de array (append, remove, move...) sobre un campo array
+   * La misma operación se aplica a values, errors y touched para que el estado siga a cada fila.
+   * Después revalida la lista (ej: mínimo de filas) y sus filas ya tocadas si el modo activo
+   * valida al cambiar, igual que handleChange con un campo
+   * @param {string} name - Ruta del campo array
+   * @param {Function} operation - Función (array, createItem) => nuevoArray
+   *                               createItem(item) retorna el elemento a insertar en cada estado
+   *                               (el item en values, undefined en errors y touched)
+   */
+  const updateFieldArray = useCallback(
+    (name, operation) => {
+      const { values } = store.getState();
+      const length = (getByPath(values, name) || []).length;
+
+      // Errors y touched pueden no tener entrada para todas las filas: se normalizan al largo real.
+      // Un valor que no es array en la ruta de la lista (ej: error del servidor) era de la lista
+      // anterior y se descarta
+      const applyToMeta = (state) => {
+        const current = getByPath(state, name);
+        const rows = Array.isArray(current) ? current : [];
+
+        const normalized = Array.from({ length }, (_, index) => rows[index]);
+        return setByPath(state, name, operation(normalized, () => undefined));
+      };
+
+      // Los resultados asíncronos pendientes apuntan a índices que pueden cambiar
+      cancelValidations(name);
+      recordHistory(values);
+
+      store.setValues((prev) =>
+        setByPath(prev, name, operation(getByPath(prev, name) || [], (item) => item))
+      );
+      store.setErrors(applyToMeta);
+      store.setTouched(applyToMeta);
+
+      // La lista cuenta como tocada si ya se validó; las filas nuevas esperan a que se toquen
+      const mode = getActiveMode();
+      const { values: nextValues, touched, listErrors } = store.getState();
+      const pattern = String(name).replace(/\[\d+\]/g, "[]");
+
+      Object.keys(optionsRef.current.rules)
+        .filter((rulePattern) => isPathWithin(rulePattern, pattern))
+        .flatMap((rulePattern) => expandRulePath(rulePattern, nextValues))
+        .filter((field) => isPathWithin(field, name))
+        .forEach((field) => {
+          const isList = field === name;
+          const isTouched = isList ? listErrors[name] !== undefined : !!getByPath(touched, field);
+          if (!isList && !isTouched) return;
+          if (!shouldValidateOn(VALIDATION_MODES.ON_CHANGE, mode, isTouched)) return;
+          runFieldValidation(field, getByPath(nextValues, field), nextValues);
+        });
+    },
+    [store, cancelValidations, recordHistory, getActiveMode, runFieldValidation]
+  );
+
+  /**
+   * Aplica valores restaurados del historial y revalida los campos ya tocados
+   * @param {Object} nextValues - Valores a aplicar
+   */
+  const applyHistoryValues = useCallback(
+    (nextValues) => {
+      lastHistoryChange.current = { name: null, time: 0 };
+      store.setValues(nextValues);
+
+      if (getActiveMode() === VALIDATION_MODES.ON_SUBMIT) return;
+      const { touched } = store.getState();
+      Object.keys(optionsRef.current.rules)
+        .flatMap((pattern) => expandRulePath(pattern, nextValues))
+        .filter((name) => getByPath(touched, name))
+        .forEach((name) => runFieldValidation(name, getByPath(nextValues, name), nextValues));
+    },
+    [store, getActiveMode, runFieldValidation]
+  );
+
+  /**
+   * Deshace el último cambio de valores
+   */
+  const undo = useCallback(() => {
+    const { historyStack, values } = store.getState();
+    const { past, future } = historyStack;
+    if (!past.length) return;
+
+    store.setHistoryStack({ past: past.slice(0, -1), future: [values, ...future] });
+    applyHistoryValues(past[past.length - 1]);
+  }, [store, applyHistoryValues]);
+
+  /**
+   * Rehace el último cambio deshecho
+   */
+  const redo = useCallback(() => {
+    const { historyStack, values } = store.getState();
+    const { past, future } = historyStack;
+    if (!future.length) return;
 
-  // Calcula si el formulario es válido (no tiene errores y al menos un campo ha sido tocado)
+    store.setHistoryStack({ past: [...past, values], future: future.slice(1) });
+    applyHistoryValues(future[0]);
+  }, [store, applyHistoryValues]);
+
+  /**
+   * Atajos de teclado del historial para el contenedor del formulario
+   * Ctrl/Cmd+Z deshace; Ctrl/Cmd+Shift+Z o Ctrl/Cmd+Y rehace
+   * @param {KeyboardEvent} e - Evento keydown
+   */
+  const handleHistoryKeyDown = useCallback(
+    (e) => {
+      if (!historyEnabled || !(e.ctrlKey || e.metaKey)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    },
+    [historyEnabled, undo, redo]
+  );
+
+  // Indica si hay alguna validación asíncrona en curso
+  const isValidating = Object.keys(validating).some((key) => validating[key]);
+
+  // Calcula si el formulario es válido (no tiene errores de campo ni del formulario, al menos
+  // un campo ha sido tocado y no hay validaciones asíncronas pendientes)
   const isValid =
-    Object.keys(errors).every((key) => !errors[key]) &&
-    Object.keys(touched).length > 0;
+    !hasAnyError(errors) &&
+    !hasAnyError(listErrors) &&
+    formErrors.length === 0 &&
+    Object.keys(touched).length > 0 &&
+    !isValidating;
 
-  // Retorna todas las propiedades y métodos disponibles
-  return {
+  // Errores actuales en orden de declaración (para un resumen de errores), incluidos los de listas
+  const listErrorNames = Object.keys(listErrors).filter((name) => listErrors[name]);
+  const errorList = sortByDeclaredOrder([...getLeafPaths(errors), ...listErrorNames]).map(
+    (name) => ({
+      name,
+      message: listErrors[name] || getByPath(errors, name),
+    })
+  );
+
+  // Todas las propiedades y métodos disponibles (los métodos mantienen su identidad entre renders)
+  const form = {
     // Estados
     values,           // Valores actuales de todos los campos
     errors,           // Errores de validación por campo
+    listErrors,       // Errores de las reglas de lista (ej: mínimo de filas) por ruta
     touched,          // Campos que han sido interactuados
     isSubmitting,     // Estado de envío del formulario
-    isDirty,          // Indica si el formulario ha sido modificado
+    isDirty,          // Indica si algún campo difiere de los valores iniciales
+    dirtyFields,      // Campos modificados con la forma de values ({ address: { city: true } })
     isValid,          // Indica si el formulario es completamente válido
+    validating,       // Campos con validación asíncrona en curso
+    isValidating,     // Indica si hay alguna validación asíncrona en curso
+    isSubmitted,      // Indica si ya se intentó enviar el formulario
+    submitCount,      // Número de intentos de envío
+    submitError,      // Error general del último envío
+    isSubmitSuccessful, // Indica si el último envío terminó sin errores
+    errorList,        // Errores como [{ name, message }] en orden de declaración
+    formErrors,       // Errores generales de validateForm (para un banner)
+    isDraftRestored: !!restoredDraft, // Los valores iniciales vienen de un borrador guardado
+    canUndo: historyStack.past.length > 0,   // Hay cambios para deshacer
+    canRedo: historyStack.future.length > 0, // Hay cambios para rehacer
 
     // Manejadores de eventos
     handleChange,     // Función para manejar cambios en campos
     handleBlur,       // Función para manejar eventos blur
     handleSubmit,     // Función para manejar envío del formulario
+    abortSubmit,      // Cancela el envío en curso (aborta el signal de onSubmit)
 
     // Utilidades
     getFieldState,    // Obtiene el estado visual de un campo
+    getFieldProps,    // Props completas de un campo para FormInput ({...form.getFieldProps("email")})
     reset,            // Resetea el formulario
+    resetTo,          // Reemplaza los valores iniciales (base de dirtyFields y reset)
     setFieldValue,    // Establece valor de campo programáticamente
     setFieldError,    // Establece error de campo programáticamente
+    setFieldTouched,  // Marca un campo como tocado programáticamente
+    setSubmitError: store.setSubmitError, // Establece el error general del formulario
+    clearDraft,       // Elimina el borrador guardado
+    undo,             // Deshace el último cambio de valores
+    redo,             // Rehace el último cambio deshecho
+    handleHistoryKeyDown, // Atajos Ctrl+Z / Ctrl+Y para el contenedor del formulario
+    getFieldValue,    // Obtiene el valor de un campo por ruta
+    getDisplayValue,  // Obtiene el valor formateado de un campo para su input
+    getFieldError,    // Obtiene el error de un campo por ruta
+    getFieldTouched,  // Indica si un campo por ruta fue tocado
+    getFieldDirty,    // Indica si un campo por ruta fue modificado
+    isFieldHidden,    // Indica si un campo está oculto por su condición "when"
+    registerFieldRef, // Callback ref para registrar el input de un campo
+    getFieldElementId, // Id del elemento registrado de un campo
+    focusField,       // Hace scroll a un campo registrado y lo enfoca
+    focusFirstError,  // Enfoca el primer campo registrado con error
+    getChangedValues, // Obtiene solo los valores modificados (payload tipo PATCH)
+    updateFieldArray, // Aplica operaciones sobre campos array (usado por useFieldArray)
     validateField,    // Valida un campo específico
-    validateAll,      // Valida todos los campos
+    validateAll,      // Valida todos los campos (o solo los indicados)
+    control,          // Acceso estable al store (FormProvider, useField)
   };
-};
\ No newline at end of file
+
+  formRef.current = form;
+  return form;
+};
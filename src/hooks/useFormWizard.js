@@ -0,0 +1,203 @@
+import { useState, useCallback } from "react";
+import { getByPath, hasAnyError } from "@helpers";
+
+/**
+ * Indica si alguno de los campos de un paso tiene error
+ * @param {Object} errors - Errores del formulario
+ * @param {Object} listErrors - Errores de las reglas de lista por ruta (ej: { team: "..." })
+ * @param {Object} step - Paso con su lista de campos
+ * @returns {boolean} true si el paso tiene errores
+ */
+const stepHasErrors = (errors, listErrors, step) =>
+  step.fields.some(
+    (field) => hasAnyError(getByPath(errors, field)) || hasAnyError(listErrors?.[field])
+  );
+
+/**
+ * Hook para formularios de varios pasos construido sobre useFormValidation
+ * Todos los pasos comparten un solo formulario; cada paso valida solo sus campos
+ * 
+ * @param {Object} form - Objeto retornado por useFormValidation
+ * @param {Array<Object>} steps - Pasos del asistente
+ * @param {string} steps[].id - Identificador del paso
+ * @param {string} [steps[].title] - Título para mostrar en el indicador de pasos
+ * @param {string[]} steps[].fields - Rutas de campos o ramas del paso (ej: ["email", "address"])
+ * 
+ * @returns {Object} Paso actual, estado de cada paso, progreso y navegación
+ * 
+ * @example
+ * const steps = [
+ *   { id: "account", title: "Cuenta", fields: ["email", "password", "confirmPassword"] },
+ *   { id: "profile", title: "Perfil", fields: ["name", "phone", "address"] },
+ *   { id: "preferences", title: "Preferencias", fields: ["types", "newsletter"] }
+ * ];
+ * 
+ * const form = useFormValidation(initialValues, validationRules);
+ * const wizard = useFormWizard(form, steps);
+ * 
+ * <ol>
+ *   {wizard.steps.map((step) => (
+ *     <li key={step.id} className={step.status === "error" ? "text-red-600" : ""}>
+ *       <button type="button" onClick={() => wizard.goTo(step.id)}>{step.title}</button>
+ *     </li>
+ *   ))}
+ * </ol>
+ * 
+ * <form onSubmit={wizard.handleSubmit(onSubmit)}>
+ *   {wizard.step.id === "account" && <AccountFields form={form} />}
+ *   {wizard.step.id === "profile" && <ProfileFields form={form} />}
+ *   {wizard.step.id === "preferences" && <PreferencesFields form={form} />}
+ * 
+ *   <button type="button" onClick={wizard.back} disabled={wizard.isFirstStep}>Atrás</button>
+ *   <button type="submit">{wizard.isLastStep ? "Crear cuenta" : "Siguiente"}</button>
+ * </form>
+ * 
+ * <div style={{ width: `${wizard.progress}%` }} /> // Barra de progreso
+ */
+export const useFormWizard = (form, steps) => {
+  const { errors, listErrors, validateAll, handleSubmit: handleFormSubmit } = form;
+
+  const [currentIndex, setCurrentIndex] = useState(0);  // Índice del paso actual
+  const [completed, setCompleted] = useState([]);       // Índices de los pasos ya validados
+
+  const isFirstStep = currentIndex === 0;
+  const isLastStep = currentIndex === steps.length - 1;
+
+  /**
+   * Convierte un id o índice de paso a su índice
+   * @param {string|number} stepIdOrIndex - Id del paso o índice
+   * @returns {number} Índice del paso (-1 si no existe)
+   */
+  const getStepIndex = useCallback(
+    (stepIdOrIndex) =>
+      typeof stepIdOrIndex === "number"
+        ? stepIdOrIndex
+        : steps.findIndex((step) => step.id === stepIdOrIndex),
+    [steps]
+  );
+
+  /**
+   * Valida los campos de un paso y lo marca como completado si es válido
+   * @param {number} index - Índice del paso
+   * @returns {Promise<boolean>} true si el paso es válido
+   */
+  const validateStep = useCallback(
+    async (index) => {
+      const isStepValid = await validateAll(steps[index].fields);
+      setCompleted((prev) => {
+        const others = prev.filter((item) => item !== index);
+        return isStepValid ? [...others, index] : others;
+      });
+      return isStepValid;
+    },
+    [steps, validateAll]
+  );
+
+  /**
+   * Avanza al siguiente paso si los campos del paso actual son válidos
+   * @returns {Promise<boolean>} true si avanzó
+   */
+  const next = useCallback(async () => {
+    if (isLastStep || !(await validateStep(currentIndex))) return false;
+    setCurrentIndex(currentIndex + 1);
+    return true;
+  }, [currentIndex, isLastStep, validateStep]);
+
+  /**
+   * Regresa al paso anterior (sin validar)
+   */
+  const back = useCallback(() => {
+    setCurrentIndex((prev) => Math.max(prev - 1, 0));
+  }, []);
+
+  /**
+   * Va a un paso específico
+   * Hacia atrás no valida; hacia adelante valida cada paso intermedio y se detiene en el primero inválido
+   * @param {string|number} stepIdOrIndex - Id del paso o índice
+   * @returns {Promise<boolean>} true si llegó al paso solicitado
+   */
+  const goTo = useCallback(
+    async (stepIdOrIndex) => {
+      const target = getStepIndex(stepIdOrIndex);
+      if (target < 0 || target >= steps.length) return false;
+
+      for (let index = currentIndex; index < target; index++) {
+        if (!(await validateStep(index))) {
+          setCurrentIndex(index);
+          return false;
+        }
+      }
+      setCurrentIndex(target);
+      return true;
+    },
+    [currentIndex, steps.length, getStepIndex, validateStep]
+  );
+
+  /**
+   * Maneja el envío del asistente
+   * En pasos intermedios avanza al siguiente; en el último valida todo el formulario y envía.
+   * Si la validación final falla, regresa al primer paso con errores
+   * @param {Function} onSubmit - Función callback que recibe todos los valores
+   * @returns {Function} Función que maneja el evento submit
+   */
+  const handleSubmit = useCallback(
+    (onSubmit) => async (e) => {
+      if (!isLastStep) {
+        if (e) e.preventDefault();
+        await next();
+        return;
+      }
+
+      // Reenvía también { signal } para que el envío se pueda cancelar (abortSubmit, desmontaje)
+      const submitValues = (values, meta) => {
+        setCompleted(steps.map((_, index) => index));
+        return onSubmit(values, meta);
+      };
+
+      await handleFormSubmit(submitValues, (validationErrors, validationListErrors) => {
+        const validSteps = steps
+          .map((step, index) =>
+            stepHasErrors(validationErrors, validationListErrors, step) ? -1 : index
+          )
+          .filter((index) => index !== -1);
+        setCompleted(validSteps);
+
+        const invalidIndex = steps.findIndex((step) =>
+          stepHasErrors(validationErrors, validationListErrors, step)
+        );
+        if (invalidIndex !== -1) setCurrentIndex(invalidIndex);
+      })(e);
+    },
+    [isLastStep, next, steps, handleFormSubmit]
+  );
+
+  // Estado de cada paso: "current", "error", "complete" o "upcoming"
+  const stepsWithStatus = steps.map((step, index) => {
+    const isCompleted = completed.includes(index);
+    let status = "upcoming";
+    if (index === currentIndex) status = "current";
+    else if (stepHasErrors(errors, listErrors, step)) status = "error";
+    else if (isCompleted) status = "complete";
+
+    return { ...step, index, status, isCompleted };
+  });
+
+  // Porcentaje de pasos completados
+  const progress = steps.length
+    ? Math.round((completed.length / steps.length) * 100)
+    : 0;
+
+  return {
+    step: steps[currentIndex],  // Paso actual
+    currentIndex,               // Índice del paso actual
+    steps: stepsWithStatus,     // Pasos con { index, status, isCompleted }
+    isFirstStep,                // Indica si es el primer paso
+    isLastStep,                 // Indica si es el último paso
+    progress,                   // Porcentaje de pasos completados (0-100)
+    next,                       // Valida el paso actual y avanza
+    back,                       // Regresa al paso anterior
+    goTo,                       // Va a un paso por id o índice
+    validateStep,               // Valida un paso por índice
+    handleSubmit,               // Avanza o envía según el paso actual
+  };
+};
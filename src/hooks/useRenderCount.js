@@ -0,0 +1,23 @@
+import { useRef } from "react";
+
+/**
+ * Cuenta cuántas veces se ha renderizado el componente que lo llama
+ * Sirve para medir el efecto de las suscripciones por campo (useField) frente a
+ * suscribirse a todo el formulario. En StrictMode (desarrollo) cada render cuenta doble.
+ * 
+ * @returns {number} Número de renders del componente (incluido el actual)
+ * 
+ * @example
+ * const EmailField = () => {
+ *   const renders = useRenderCount();
+ *   const email = useField("email");
+ *   return <FormInput {...email.props} label="Email" data-render-count={renders} />;
+ * };
+ * 
+ * // Escribir en otro campo no debe aumentar el contador de EmailField
+ */
+export const useRenderCount = () => {
+  const count = useRef(0);
+  count.current += 1;
+  return count.current;
+};
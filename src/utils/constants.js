@@ -214,6 +214,7 @@ export const MESSAGES = {
     TIMEOUT: "La operación ha excedido el tiempo límite",
     FILE_TOO_LARGE: "El archivo es demasiado grande",
     INVALID_FORMAT: "Formato de archivo no válido",
+    TOO_MANY_FILES: "Solo puedes subir {max} archivos",
     DUPLICATE: "Ya existe un elemento con estos datos"
   },
   
@@ -227,7 +228,17 @@ export const MESSAGES = {
     MAX_LENGTH: "No debe exceder {max} caracteres",
     INVALID_DATE: "Ingresa una fecha válida",
     FUTURE_DATE_REQUIRED: "La fecha debe ser futura",
-    PAST_DATE_REQUIRED: "La fecha debe ser pasada"
+    PAST_DATE_REQUIRED: "La fecha debe ser pasada",
+    INVALID_FORMAT: "El formato no es válido",
+    INVALID_OPTION: "Selecciona una opción válida",
+    INVALID_NUMBER: "Ingresa un número válido",
+    INTEGER_REQUIRED: "Debe ser un número entero",
+    MIN_VALUE: "Debe ser mayor o igual a {min}",
+    MAX_VALUE: "Debe ser menor o igual a {max}",
+    OUT_OF_RANGE: "Debe estar entre {min} y {max}",
+    MIN_ITEMS: "Selecciona al menos {min} opciones",
+    MAX_ITEMS: "Selecciona máximo {max} opciones",
+    MUST_ACCEPT: "Debes aceptar para continuar"
   },
   
   CONFIRMATION: {
@@ -635,6 +646,25 @@ export const VALIDATION_RULES = {
   }
 };
 
+/**
+ * Momentos en los que useFormValidation ejecuta las reglas de un campo
+ * Se usan en las opciones mode y reValidateMode del hook
+ * 
+ * @example
+ * // Mostrar errores al salir del campo y luego en cada cambio
+ * const form = useFormValidation(initialValues, rules, {
+ *   mode: VALIDATION_MODES.ON_TOUCHED,
+ *   reValidateMode: VALIDATION_MODES.ON_CHANGE
+ * });
+ */
+export const VALIDATION_MODES = {
+  ON_CHANGE: "onChange",   // En cada cambio del valor
+  ON_BLUR: "onBlur",       // Cuando el campo pierde el foco
+  ON_SUBMIT: "onSubmit",   // Solo al enviar el formulario
+  ON_TOUCHED: "onTouched", // Primer blur y después en cada cambio
+  ALL: "all"               // En cada cambio y en cada blur
+};
+
 /**
  * Límites de rate limiting y timeouts
  * 
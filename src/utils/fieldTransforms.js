@@ -0,0 +1,103 @@
+/**
+ * TRANSFORMACIONES DE CAMPOS
+ * 
+ * @description
+ * Transformaciones listas para la opción transforms de useFormValidation.
+ * parse convierte lo que escribe el usuario al valor guardado en values,
+ * format convierte el valor guardado al texto del input y normalize se aplica al perder el foco.
+ */
+
+import { formatPhoneNumber, formatCardNumber } from "@formatters";
+
+// ============================================
+// UTILIDADES INTERNAS
+// ============================================
+
+/**
+ * Deja solo los dígitos de un texto
+ * @param {any} value - Valor del input
+ * @returns {string} Dígitos del valor
+ */
+const onlyDigits = (value) => String(value ?? "").replace(/\D/g, "");
+
+/**
+ * Convierte una fecha a "YYYY-MM-DD" (formato de <input type="date">)
+ * @param {Date} date - Fecha a convertir
+ * @returns {string} Fecha en formato ISO corto
+ */
+const toDateInputValue = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// ============================================
+// TRANSFORMACIONES LISTAS PARA USAR
+// ============================================
+
+/**
+ * Números: guarda number en lugar del string de <input type="number">
+ * Los textos que no son número se guardan tal cual para que la validación los reporte
+ * 
+ * @example
+ * // values.age === 25 (no "25")
+ * useFormValidation(initialValues, rules, { transforms: { age: numberTransform } });
+ */
+export const numberTransform = {
+  parse: (value) => {
+    if (value === "" || value == null) return "";
+    const parsed = Number(value);
+    return isNaN(parsed) ? value : parsed;
+  },
+  format: (value) => (value === "" || value == null ? "" : String(value)),
+};
+
+/**
+ * Fechas: guarda Date a partir de <input type="date"> ("YYYY-MM-DD", hora local)
+ * 
+ * @example
+ * useFormValidation(initialValues, rules, { transforms: { birthDate: dateTransform } });
+ */
+export const dateTransform = {
+  parse: (value) => (value ? new Date(`${value}T00:00:00`) : null),
+  format: (value) => {
+    if (!value) return "";
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? "" : toDateInputValue(date);
+  },
+};
+
+/**
+ * Textos recortados: quita los espacios de los extremos al perder el foco
+ * (recortar mientras se escribe impediría escribir espacios entre palabras)
+ * 
+ * @example
+ * useFormValidation(initialValues, rules, { transforms: { name: trimTransform } });
+ */
+export const trimTransform = {
+  normalize: (value) => (typeof value === "string" ? value.trim() : value),
+};
+
+/**
+ * Teléfonos: guarda solo dígitos y muestra "(555) 123-4567" con formatPhoneNumber
+ * 
+ * @example
+ * // El usuario ve "(555) 123-4567", values.phone === "5551234567"
+ * useFormValidation(initialValues, rules, { transforms: { phone: phoneTransform } });
+ */
+export const phoneTransform = {
+  parse: (value) => onlyDigits(value).slice(0, 12),
+  format: (value) => (value ? formatPhoneNumber(String(value)) : ""),
+};
+
+/**
+ * Tarjetas: guarda solo dígitos y muestra grupos de 4 con formatCardNumber (sin enmascarar)
+ * 
+ * @example
+ * // El usuario ve "1234 5678 9012 3456", values.card === "1234567890123456"
+ * useFormValidation(initialValues, rules, { transforms: { card: cardTransform } });
+ */
+export const cardTransform = {
+  parse: (value) => onlyDigits(value).slice(0, 19),
+  format: (value) => (value ? formatCardNumber(String(value), false) : ""),
+};
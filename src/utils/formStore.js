@@ -0,0 +1,71 @@
+/**
+ * STORE DE FORMULARIOS
+ * 
+ * @description
+ * Store externo mínimo para useFormValidation. Permite que cada componente se suscriba
+ * solo a la parte del estado que usa (con useSyncExternalStore) en lugar de re-renderizar
+ * el formulario completo en cada cambio.
+ */
+
+/**
+ * Convierte una clave de estado al nombre de su setter
+ * @param {string} key - Clave del estado (ej: "values")
+ * @returns {string} Nombre del setter (ej: "setValues")
+ */
+const toSetterName = (key) => `set${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+
+/**
+ * Crea un store con suscripciones y un setter por cada clave del estado inicial
+ * Los setters aceptan un valor o una función (prev) => nuevoValor, igual que los de useState,
+ * y no notifican si el valor no cambió
+ * 
+ * @param {Object} initialState - Estado inicial
+ * @returns {Object} { getState, setState, subscribe, ...setters }
+ * 
+ * @example
+ * const store = createFormStore({ values: {}, errors: {} });
+ * 
+ * const unsubscribe = store.subscribe(() => console.log(store.getState()));
+ * store.setValues((prev) => ({ ...prev, email: "ana@ejemplo.com" }));
+ * store.setErrors({});  // Mismo contenido pero nueva referencia: notifica
+ * unsubscribe();
+ * 
+ * // En React
+ * const state = useSyncExternalStore(store.subscribe, store.getState);
+ */
+export const createFormStore = (initialState) => {
+  let state = initialState;
+  const listeners = new Set();
+
+  const getState = () => state;
+
+  /**
+   * Actualiza varias claves a la vez y notifica una sola vez
+   * @param {Object|Function} changes - Cambios o función (state) => cambios
+   */
+  const setState = (changes) => {
+    const next = typeof changes === "function" ? changes(state) : changes;
+    const hasChanges = Object.keys(next || {}).some((key) => !Object.is(next[key], state[key]));
+    if (!hasChanges) return;
+
+    state = { ...state, ...next };
+    listeners.forEach((listener) => listener());
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const setters = Object.fromEntries(
+    Object.keys(initialState).map((key) => [
+      toSetterName(key),
+      (update) =>
+        setState((current) => ({
+          [key]: typeof update === "function" ? update(current[key]) : update,
+        })),
+    ])
+  );
+
+  return { getState, setState, subscribe, ...setters };
+};
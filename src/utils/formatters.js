@@ -444,10 +444,9 @@ export const formatPhoneNumber = (phone, format = "(###) ###-####") => {
   const cleaned = phone.replace(/\D/g, '');
   
   if (cleaned.length === 10) {
-    return format
-      .replace(/###/g, match => cleaned.substr(0, 3))
-      .replace(/###/g, match => cleaned.substr(3, 3))
-      .replace(/####/g, match => cleaned.substr(6, 4));
+    // Cada # del formato toma el siguiente dígito
+    let digitIndex = 0;
+    return format.replace(/#/g, () => cleaned[digitIndex++]);
   }
   
   if (cleaned.length === 12 && cleaned.startsWith('52')) {
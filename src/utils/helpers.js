@@ -321,6 +321,23 @@ export const isEmpty = (obj) => {
   return Object.keys(obj).length === 0;
 };
 
+/**
+ * Indica si un objeto de errores (posiblemente anidado) contiene algún mensaje
+ * 
+ * @param {any} errors - Errores de un formulario, de una rama o de un campo
+ * @returns {boolean} true si existe al menos un error
+ * 
+ * @example
+ * hasAnyError({ name: "", address: { postalCode: "Código postal inválido" } }) // true
+ * hasAnyError({ team: [{ nickname: "" }, undefined] }) // false
+ * hasAnyError("Campo requerido") // true
+ */
+export const hasAnyError = (errors) => {
+  if (!errors) return false;
+  if (typeof errors !== "object") return true;
+  return Object.values(errors).some(hasAnyError);
+};
+
 /**
  * Crea una copia profunda de un objeto (deep clone)
  * 
@@ -351,6 +368,155 @@ export const deepClone = (obj) => {
   return clonedObj;
 };
 
+/**
+ * Compara dos valores en profundidad (objetos, arrays y fechas)
+ * 
+ * @param {any} a - Primer valor
+ * @param {any} b - Segundo valor
+ * @returns {boolean} true si ambos valores son equivalentes
+ * 
+ * @example
+ * isEqual({ user: { name: "Juan" } }, { user: { name: "Juan" } }) // true
+ * isEqual([1, 2, 3], [1, 2]) // false
+ * isEqual(new Date("2024-01-01"), new Date("2024-01-01")) // true
+ * 
+ * // Detectar si un formulario volvió a sus valores originales
+ * const hasChanges = !isEqual(values, initialValues);
+ */
+export const isEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+  // Instancias de clases (File, FileList, Map...) solo son iguales por referencia
+  const proto = Object.getPrototypeOf(a);
+  if (proto !== Object.prototype && proto !== Array.prototype && proto !== null) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every(
+    (key) => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key])
+  );
+};
+
+/**
+ * Convierte una ruta en texto a un array de claves
+ * Los índices entre corchetes se convierten a números
+ * 
+ * @param {string} path - Ruta con notación de puntos y corchetes
+ * @returns {Array<string|number>} Claves de la ruta
+ * 
+ * @example
+ * parsePath("address.postalCode") // ["address", "postalCode"]
+ * parsePath("team[2].nickname") // ["team", 2, "nickname"]
+ */
+export const parsePath = (path) => {
+  return Array.from(String(path).matchAll(/\[(\d+)\]|[^.[\]]+/g), ([key, index]) =>
+    index !== undefined ? Number(index) : key
+  );
+};
+
+/**
+ * Obtiene un valor anidado de un objeto usando una ruta
+ * 
+ * @param {Object|Array} obj - Objeto de origen
+ * @param {string} path - Ruta del valor (ej: "team[0].nickname")
+ * @returns {any} Valor encontrado o undefined si la ruta no existe
+ * 
+ * @example
+ * const values = { address: { city: "Monterrey" }, team: [{ nickname: "Pika" }] };
+ * getByPath(values, "address.city") // "Monterrey"
+ * getByPath(values, "team[0].nickname") // "Pika"
+ * getByPath(values, "team[5].nickname") // undefined
+ */
+export const getByPath = (obj, path) => {
+  return parsePath(path).reduce(
+    (current, key) => (current == null ? undefined : current[key]),
+    obj
+  );
+};
+
+/**
+ * Asigna un valor anidado sin mutar el objeto original
+ * Crea los objetos o arrays intermedios que no existan
+ * 
+ * @param {Object|Array} obj - Objeto de origen
+ * @param {string} path - Ruta del valor (ej: "team[0].nickname")
+ * @param {any} value - Valor a asignar
+ * @returns {Object|Array} Nueva copia del objeto con el valor asignado
+ * 
+ * @example
+ * setByPath({ address: { city: "" } }, "address.city", "Monterrey")
+ * // { address: { city: "Monterrey" } }
+ * 
+ * setByPath({}, "team[1].nickname", "Pika")
+ * // { team: [undefined, { nickname: "Pika" }] }
+ */
+export const setByPath = (obj, path, value) => {
+  const keys = parsePath(path);
+
+  const assign = (current, index) => {
+    if (index === keys.length) return value;
+
+    const key = keys[index];
+    const base =
+      current !== null && typeof current === "object"
+        ? current
+        : typeof key === "number"
+        ? []
+        : {};
+    const copy = Array.isArray(base) ? [...base] : { ...base };
+    copy[key] = assign(base[key], index + 1);
+    return copy;
+  };
+
+  return assign(obj, 0);
+};
+
+/**
+ * Elimina un valor anidado sin mutar el objeto original
+ * Si la ruta no existe retorna el mismo objeto; en arrays el elemento queda como undefined
+ * para no desplazar los índices
+ * 
+ * @param {Object|Array} obj - Objeto de origen
+ * @param {string} path - Ruta del valor (ej: "invoice.rfc")
+ * @returns {Object|Array} Nueva copia del objeto sin el valor
+ * 
+ * @example
+ * unsetByPath({ name: "Ana", invoice: { rfc: "XAXX010101000" } }, "invoice.rfc")
+ * // { name: "Ana", invoice: {} }
+ * 
+ * unsetByPath({ name: "Ana" }, "address.city") // { name: "Ana" } (misma referencia)
+ */
+export const unsetByPath = (obj, path) => {
+  const keys = parsePath(path);
+
+  const remove = (current, index) => {
+    const key = keys[index];
+    if (current === null || typeof current !== "object" || !(key in current)) return current;
+
+    const isLast = index === keys.length - 1;
+    const child = isLast ? undefined : remove(current[key], index + 1);
+    if (!isLast && child === current[key]) return current;
+
+    const copy = Array.isArray(current) ? [...current] : { ...current };
+    if (!isLast) {
+      copy[key] = child;
+    } else if (Array.isArray(copy)) {
+      copy[key] = undefined;
+    } else {
+      delete copy[key];
+    }
+    return copy;
+  };
+
+  return remove(obj, 0);
+};
+
 /**
  * Agrupa elementos de un array por una propiedad específica
  * 
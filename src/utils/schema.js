@@ -0,0 +1,405 @@
+/**
+ * ESQUEMAS DE VALIDACIÓN DECLARATIVOS
+ * 
+ * @description
+ * Constructor encadenable de esquemas que se compilan a las reglas que acepta useFormValidation.
+ * Cada método retorna un esquema nuevo (inmutable) y usa las validaciones de validators.js.
+ */
+
+import { MESSAGES } from "@constants";
+import { getByPath } from "@helpers";
+import {
+  isRequired,
+  hasMinLength,
+  hasMaxLength,
+  isValidEmail,
+  isValidMexicanPhone,
+  validatePassword,
+  isInRange,
+  isMatch,
+} from "@validators";
+
+// ============================================
+// UTILIDADES INTERNAS
+// ============================================
+
+/**
+ * Reemplaza los marcadores {clave} de un mensaje
+ * @param {string} message - Mensaje con marcadores (ej: "Debe tener al menos {min} caracteres")
+ * @param {Object} params - Valores para los marcadores
+ * @returns {string} Mensaje final
+ */
+const interpolate = (message, params) =>
+  message.replace(/\{(\w+)\}/g, (match, key) => params[key] ?? match);
+
+/**
+ * Indica si un valor se considera vacío (las reglas opcionales no lo validan)
+ * @param {any} value - Valor a verificar
+ * @returns {boolean} true si el valor está vacío
+ */
+const isEmptyValue = (value) =>
+  Array.isArray(value) ? value.length === 0 : !isRequired(value);
+
+/**
+ * Copia a una regla compilada los campos origen (dependsOn) de la regla que envuelve
+ * useFormValidation los usa para revalidarla cuando esos campos cambian
+ * @param {Function} rule - Regla nueva
+ * @param {Function} source - Regla envuelta
+ * @returns {Function} La misma regla nueva
+ */
+const withDependencies = (rule, source) =>
+  source.dependsOn ? Object.assign(rule, { dependsOn: source.dependsOn }) : rule;
+
+/**
+ * Condiciona reglas compiladas (planas, anidadas o por fila) a una función de los valores
+ * @param {Function[]|Object} rules - Reglas compiladas por toRules()
+ * @param {Function} [condition] - Función (values) => boolean; sin condición retorna las reglas
+ * @returns {Function[]|Object} Reglas que solo validan cuando la condición se cumple
+ */
+const applyCondition = (rules, condition) => {
+  if (!condition) return rules;
+  if (Array.isArray(rules)) {
+    return rules.map((rule) =>
+      typeof rule === "function"
+        ? withDependencies(
+            (value, values = {}, context) => (condition(values) ? rule(value, values, context) : ""),
+            rule
+          )
+        : applyCondition(rule, condition)
+    );
+  }
+  return Object.fromEntries(
+    Object.entries(rules).map(([key, node]) => [key, applyCondition(node, condition)])
+  );
+};
+
+/**
+ * Crea un esquema base con sus métodos comunes
+ * @param {string} type - Tipo del esquema ("string", "number", "boolean", "array", "object", "mixed")
+ * @param {Function} coerce - Convierte el valor crudo del input al tipo del esquema
+ * @param {Function} methods - Fábrica de métodos propios del tipo: (check, next, state) => ({ ... })
+ * @param {Object} state - Estado inmutable del esquema ({ transforms, checks, ... })
+ * @returns {Object} Esquema encadenable
+ */
+const createSchema = (type, coerce, methods, state = { transforms: [], checks: [] }) => {
+  const next = (changes) => createSchema(type, coerce, methods, { ...state, ...changes });
+
+  // Agrega una validación; las opcionales (skipEmpty) no se ejecutan con valores vacíos
+  const check = (test, skipEmpty = true) =>
+    next({ checks: [...state.checks, { test, skipEmpty }] });
+
+  const cast = (value) =>
+    state.transforms.reduce((current, transform) => transform(current), coerce(value));
+
+  const base = {
+    type,
+    cast,
+
+    /**
+     * Agrega una transformación del valor (se aplica después de la coerción)
+     * @param {Function} transform - Función (value) => nuevoValor
+     */
+    transform: (transform) => next({ transforms: [...state.transforms, transform] }),
+
+    /**
+     * Marca el campo como requerido
+     * @param {string} [message=MESSAGES.FORM.REQUIRED] - Mensaje de error
+     */
+    required: (message = MESSAGES.FORM.REQUIRED) =>
+      check((value) => (isEmptyValue(value) ? message : ""), false),
+
+    /**
+     * Agrega una regla personalizada con la misma firma que useFormValidation
+     * @param {Function} rule - Función (value, values, { signal }) => string | Promise<string>
+     */
+    test: (rule) => check(rule, false),
+
+    /**
+     * Exige que el valor coincida con otro campo del formulario
+     * @param {string} field - Ruta del otro campo (ej: "password")
+     * @param {string} [message=MESSAGES.FORM.PASSWORD_MISMATCH] - Mensaje de error
+     */
+    equals: (field, message = MESSAGES.FORM.PASSWORD_MISMATCH) =>
+      check(
+        Object.assign(
+          (value, values = {}) =>
+            !isMatch(cast(getByPath(values, field)), value) ? message : "",
+          { dependsOn: [field] }
+        )
+      ),
+
+    /**
+     * Solo valida el campo cuando la condición se cumple
+     * @param {Function} condition - Función (values) => boolean
+     */
+    when: (condition) => next({ condition }),
+
+    /**
+     * Compila el esquema a un array de reglas para useFormValidation
+     * @returns {Function[]} Reglas (value, values, context) => string
+     */
+    toRules: () =>
+      applyCondition(
+        state.checks.map(({ test, skipEmpty }) =>
+          withDependencies((value, values, context) => {
+            const parsed = cast(value);
+            if (skipEmpty && isEmptyValue(parsed)) return "";
+            return test(parsed, values, context);
+          }, test)
+        ),
+        state.condition
+      ),
+  };
+
+  return { ...base, ...methods(check, next, state, base) };
+};
+
+// ============================================
+// TIPOS DE ESQUEMA
+// ============================================
+
+/**
+ * Esquema para textos
+ * 
+ * @example
+ * string().required().min(2).email()
+ * string().trim().required("El nombre es obligatorio").max(50)
+ * string().password({ minLength: 6, requireSpecialChars: false })
+ */
+export const string = () =>
+  createSchema(
+    "string",
+    (value) => (value == null ? value : String(value)),
+    (check, next, state) => ({
+      min: (length, message = interpolate(MESSAGES.FORM.MIN_LENGTH, { min: length })) =>
+        check((value) => (!hasMinLength(value, length) ? message : "")),
+
+      max: (length, message = interpolate(MESSAGES.FORM.MAX_LENGTH, { max: length })) =>
+        check((value) => (!hasMaxLength(value, length) ? message : "")),
+
+      email: (message = MESSAGES.FORM.INVALID_EMAIL) =>
+        check((value) => (!isValidEmail(value) ? message : "")),
+
+      phone: (message = MESSAGES.FORM.INVALID_PHONE) =>
+        check((value) => (!isValidMexicanPhone(value) ? message : "")),
+
+      matches: (regex, message = MESSAGES.FORM.INVALID_FORMAT) =>
+        check((value) => (!regex.test(value) ? message : "")),
+
+      oneOf: (options, message = MESSAGES.FORM.INVALID_OPTION) =>
+        check((value) => (!options.includes(value) ? message : "")),
+
+      // Sin mensaje usa el primer error de validatePassword
+      password: (options = {}, message) =>
+        check((value) => {
+          const result = validatePassword(value, options);
+          return result.isValid ? "" : message || result.errors[0];
+        }),
+
+      trim: () =>
+        next({
+          transforms: [
+            ...state.transforms,
+            (value) => (typeof value === "string" ? value.trim() : value),
+          ],
+        }),
+    })
+  );
+
+/**
+ * Esquema para números
+ * Convierte los strings de <input type="number"> a número antes de validar
+ * 
+ * @example
+ * number().required().between(16, 100)
+ * number().integer().min(1)
+ */
+export const number = (message = MESSAGES.FORM.INVALID_NUMBER) =>
+  createSchema(
+    "number",
+    (value) => {
+      if (value == null || value === "" || typeof value === "number") return value;
+      const parsed = Number(value);
+      return isNaN(parsed) ? value : parsed;
+    },
+    (check) => ({
+      min: (min, msg = interpolate(MESSAGES.FORM.MIN_VALUE, { min })) =>
+        check((value) => (value < min ? msg : "")),
+
+      max: (max, msg = interpolate(MESSAGES.FORM.MAX_VALUE, { max })) =>
+        check((value) => (value > max ? msg : "")),
+
+      between: (min, max, msg = interpolate(MESSAGES.FORM.OUT_OF_RANGE, { min, max })) =>
+        check((value) => (!isInRange(value, min, max) ? msg : "")),
+
+      integer: (msg = MESSAGES.FORM.INTEGER_REQUIRED) =>
+        check((value) => (!Number.isInteger(value) ? msg : "")),
+    }),
+    {
+      transforms: [],
+      checks: [
+        {
+          test: (value) => (typeof value !== "number" || isNaN(value) ? message : ""),
+          skipEmpty: true,
+        },
+      ],
+    }
+  );
+
+/**
+ * Esquema para valores booleanos (checkboxes)
+ * 
+ * @example
+ * boolean().isTrue("Debes aceptar los términos y condiciones")
+ */
+export const boolean = () =>
+  createSchema(
+    "boolean",
+    (value) => (value === "true" ? true : value === "false" ? false : value),
+    (check) => ({
+      isTrue: (message = MESSAGES.FORM.MUST_ACCEPT) =>
+        check((value) => (value !== true ? message : ""), false),
+    })
+  );
+
+/**
+ * Esquema sin tipo, útil para reglas personalizadas con test()
+ * 
+ * @example
+ * mixed().test((value) => !value ? "Selecciona un archivo" : "")
+ */
+export const mixed = () => createSchema("mixed", (value) => value, () => ({}));
+
+/**
+ * Esquema para arrays
+ * Con elementos de tipo object genera reglas por fila ("team[].campo") para useFieldArray
+ * y min/max se compilan a una regla de la lista ("team"), cuyo error se guarda en listErrors.team.
+ * Con elementos simples valida cada elemento dentro de la regla del propio campo.
+ * 
+ * @param {Object} [item] - Esquema de cada elemento
+ * 
+ * @example
+ * array(string()).min(1).max(2, "Elige máximo 2 tipos")
+ * array(object({ nickname: string().required().max(12) })).min(1, "Agrega al menos un Pokémon")
+ */
+export const array = (item) =>
+  createSchema(
+    "array",
+    (value) => (Array.isArray(value) ? value : value == null || value === "" ? [] : [value]),
+    (check, next, state, base) => ({
+      min: (min, message = interpolate(MESSAGES.FORM.MIN_ITEMS, { min })) =>
+        check((value) => (value.length < min ? message : ""), false),
+
+      max: (max, message = interpolate(MESSAGES.FORM.MAX_ITEMS, { max })) =>
+        check((value) => (value.length > max ? message : "")),
+
+      of: (itemSchema) => next({ item: itemSchema }),
+
+      cast: (value) => {
+        const list = base.cast(value);
+        return state.item ? list.map((element) => state.item.cast(element)) : list;
+      },
+
+      toRules: () => {
+        const itemSchema = state.item || item;
+        const rules = base.toRules();
+
+        // [reglas por fila, ...reglas de la lista]
+        if (itemSchema?.type === "object") {
+          return [applyCondition(itemSchema.toRules(), state.condition), ...rules];
+        }
+
+        if (!itemSchema) return rules;
+
+        // Valida cada elemento con sus reglas (síncronas) y reporta el primer error
+        const itemRules = itemSchema.toRules();
+        return [
+          ...rules,
+          ...applyCondition(
+            [
+              (value, values) => {
+                for (const element of base.cast(value)) {
+                  for (const rule of itemRules) {
+                    const error = rule(element, values);
+                    if (error) return error;
+                  }
+                }
+                return "";
+              },
+            ],
+            state.condition
+          ),
+        ];
+      },
+    }),
+    { transforms: [], checks: [], item }
+  );
+
+/**
+ * Esquema para objetos
+ * Compila a reglas anidadas con la misma forma que los valores del formulario
+ * 
+ * @param {Object} shape - Esquema de cada propiedad
+ * 
+ * @example
+ * const userSchema = object({
+ *   name: string().required().min(2),
+ *   email: string().required().email(),
+ *   age: number().between(16, 100),
+ *   address: object({
+ *     postalCode: string().matches(/^\d{5}$/, "Código postal inválido")
+ *   })
+ * });
+ * 
+ * const form = useFormValidation(initialValues, userSchema.toRules());
+ * 
+ * // Valores con tipos reales para enviar a la API ("25" -> 25)
+ * const payload = userSchema.cast(form.values);
+ * 
+ * // Reglas condicionales: el RFC solo es requerido si se pide factura
+ * const invoiceSchema = object({
+ *   wantsInvoice: boolean(),
+ *   rfc: string().required().when((values) => values.wantsInvoice)
+ * });
+ */
+export const object = (shape) =>
+  createSchema("object", (value) => value, (check, next, state) => ({
+    shape,
+
+    cast: (value) => {
+      const result = { ...(value || {}) };
+      Object.entries(shape).forEach(([key, schema]) => {
+        result[key] = schema.cast(result[key]);
+      });
+      return result;
+    },
+
+    toRules: () =>
+      applyCondition(
+        Object.fromEntries(
+          Object.entries(shape).map(([key, schema]) => [key, schema.toRules()])
+        ),
+        state.condition
+      ),
+  }));
+
+// ============================================
+// EJEMPLO DE USO COMPLETO
+// ============================================
+
+/**
+ * EJEMPLO DE USO CON useFormValidation
+ * 
+ * const signupSchema = object({
+ *   name: string().trim().required("El nombre es obligatorio").min(2),
+ *   email: string().required().email(),
+ *   password: string().required().password({ minLength: 6, requireSpecialChars: false }),
+ *   confirmPassword: string().required().equals("password"),
+ *   age: number().required().between(16, 100),
+ *   types: array(string()).min(1).max(2),
+ *   terms: boolean().isTrue()
+ * });
+ * 
+ * // equals() registra "password" como campo origen: confirmPassword se revalida al cambiarlo
+ * const form = useFormValidation(initialValues, signupSchema.toRules());
+ */
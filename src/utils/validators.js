@@ -6,6 +6,8 @@
  * Incluye validaciones para campos comunes, documentos mexicanos, y validaciones personalizadas.
  */
 
+import { getByPath } from "@helpers";
+
 // ============================================
 // VALIDACIONES DE FORMATO
 // ============================================
@@ -297,7 +299,7 @@ export const isValidName = (name) => {
  * 
  * // Uso con useFormValidation
  * const confirmPasswordRules = [
- *   (value) => !isMatch(values.password, value) ? "Las contraseñas no coinciden" : ""
+ *   (value, values) => !isMatch(values.password, value) ? "Las contraseñas no coinciden" : ""
  * ];
  */
 export const isMatch = (value1, value2) => {
@@ -484,6 +486,65 @@ export const createEmailRule = (message = "Formato de email inválido") => {
   };
 };
 
+/**
+ * Crea una regla de validación que compara el valor con otro campo del formulario
+ * 
+ * La regla registra fieldName como su campo origen (propiedad dependsOn), así que
+ * useFormValidation la revalida al cambiar ese campo sin declarar "dependencies"
+ * 
+ * @param {string} fieldName - Ruta del campo con el que debe coincidir (ej: "account.password")
+ * @param {string} [message="Los valores no coinciden"] - Mensaje de error personalizado
+ * @returns {Function} Función de validación que recibe (value, values)
+ * 
+ * @example
+ * const confirmPasswordRules = [
+ *   createRequiredRule("Confirme la contraseña"),
+ *   createMatchRule("password", "Las contraseñas no coinciden")
+ * ];
+ * 
+ * // confirmPassword se revalida al cambiar password
+ * useFormValidation(initialValues, { confirmPassword: confirmPasswordRules });
+ */
+export const createMatchRule = (fieldName, message = "Los valores no coinciden") => {
+  const rule = (value, values = {}) => {
+    if (!value) return "";
+    return !isMatch(getByPath(values, fieldName), value) ? message : "";
+  };
+  // Campo origen: useFormValidation revalida la regla cuando cambia
+  rule.dependsOn = [fieldName];
+  return rule;
+};
+
+/**
+ * Condiciona un grupo de reglas: solo se ejecutan cuando la condición se cumple
+ * 
+ * @param {Function} condition - Función (values) => boolean
+ * @param {Function[]} rules - Reglas a condicionar
+ * @returns {Function[]} Reglas que retornan "" mientras la condición no se cumpla
+ * 
+ * @example
+ * const validationRules = {
+ *   state: createConditionalRules(
+ *     (values) => values.country === "mx",
+ *     [createRequiredRule("Selecciona un estado")]
+ *   ),
+ *   rfc: createConditionalRules(
+ *     (values) => values.wantsInvoice,
+ *     [createRequiredRule("El RFC es requerido para facturar"), (value) => value && !isValidRFC(value) ? "RFC inválido" : ""]
+ *   )
+ * };
+ * 
+ * // Revalida al cambiar el campo del que depende la condición
+ * useFormValidation(initialValues, validationRules, {
+ *   dependencies: { state: ["country"], rfc: ["wantsInvoice"] }
+ * });
+ */
+export const createConditionalRules = (condition, rules) => {
+  return rules.map((rule) => (value, values = {}, context) =>
+    condition(values) ? rule(value, values, context) : ""
+  );
+};
+
 // ============================================
 // EJEMPLO DE USO COMPLETO
 // ============================================
@@ -510,7 +571,7 @@ export const createEmailRule = (message = "Formato de email inválido") => {
  *   ],
  *   confirmPassword: [
  *     createRequiredRule("Confirme la contraseña"),
- *     (value) => !isMatch(values.password, value) ? "Las contraseñas no coinciden" : ""
+ *     (value, values) => !isMatch(values.password, value) ? "Las contraseñas no coinciden" : ""
  *   ],
  *   phone: [
  *     (value) => value && !isValidMexicanPhone(value) ? "Teléfono mexicano inválido" : ""
@@ -520,4 +581,9 @@ export const createEmailRule = (message = "Formato de email inválido") => {
  *     (value) => !isValidAge(value, 18) ? "Debe ser mayor de 18 años" : ""
  *   ]
  * };
+ * 
+ * // confirmPassword se revalida automáticamente al editar password
+ * const form = useFormValidation(initialValues, validationRules, {
+ *   dependencies: { confirmPassword: ["password"] }
+ * });
  */
\ No newline at end of file